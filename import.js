@@ -0,0 +1,10 @@
+'use strict';
+
+/**
+ * `import()` from a module loaded by Node itself. Hexo runs plugins with `vm.runInThisContext`,
+ * where `import()` throws ERR_VM_DYNAMIC_IMPORT_CALLBACK_MISSING, so index.js imports ES modules
+ * (the MDX compiler, remark/rehype plugins, ESM-only components) through this file.
+ * @param {string} specifier - A package name or a file URL
+ * @returns {Promise<Object>} The module namespace
+ */
+module.exports = specifier => import(specifier);
@@ -1,11 +1,25 @@
 'use strict';
 
-const { renderToString } = require('react-dom/server');
-const React = require('react');
 const fs = require('fs');
+const path = require('path');
 const { createRequire } = require('module');
 const { pathToFileURL, fileURLToPath } = require('url');
 const crypto = require('crypto');
+const os = require('os');
+const { Worker } = require('worker_threads');
+const frontMatter = require('hexo-front-matter');
+const { getTsconfig, createPathsMatcher } = require('get-tsconfig');
+const { codeFrameColumns } = require('@babel/code-frame');
+const { escapeHTML } = require('hexo-util');
+const importModule = require('./import.js');
+
+// Compile workers load this module with a stand-in `hexo` that has no extend API
+const canRegisterFilters = Boolean(hexo && hexo.extend && hexo.extend.filter && typeof hexo.extend.filter.register === 'function');
+
+// The Hexo project directory; the working directory when used outside Hexo
+function getBaseDir() {
+  return hexo && hexo.base_dir ? hexo.base_dir : process.cwd();
+}
 
 let babelRegistered = false;
 function ensureBabelRegister(filePath) {
@@ -23,19 +37,128 @@ function ensureBabelRegister(filePath) {
       );
     }
   }
+  // Babel caches compiled files by their options: the project's tsconfig.json is part of them so
+  // `paths` aliases are resolved again when it changes
+  const baseDir = getBaseDir();
+  const tsconfig = getTsconfig(baseDir);
   babelRegister({
     extensions: ['.js', '.jsx', '.ts', '.tsx'],
     plugins: [
+      [moduleAliasPlugin, { alias: getRuntime().alias, tsconfig: tsconfig ? hashOf(JSON.stringify(tsconfig.config)) : null }],
       '@babel/plugin-syntax-dynamic-import',
+      // Components are written as ES modules; require() needs CommonJS on every supported Node version
+      '@babel/plugin-transform-modules-commonjs',
       ['@babel/plugin-transform-react-jsx', {
-        runtime: 'automatic'
+        runtime: 'automatic',
+        importSource: getRuntime().jsxImportSource
       }]
     ],
+    // Strips types from .ts/.tsx (JSX is only parsed in .tsx, as in tsc); other files are left alone
+    presets: ['@babel/preset-typescript'],
     ignore: [/node_modules/]
   });
   babelRegistered = true;
 }
 
+const tsconfigPaths = new Map(); // Map of directory -> `paths` matcher of its nearest tsconfig.json (or null)
+const tsconfigFiles = new Set(); // tsconfig.json files whose `paths` were used, part of the bundle cache key
+
+/**
+ * The `compilerOptions.paths` matcher of the tsconfig.json nearest to a directory.
+ * @param {string} dir - Directory of the importing file
+ * @returns {Function|null} Maps a specifier to candidate paths, or null without `paths`
+ */
+function getTsconfigPaths(dir) {
+  if (!tsconfigPaths.has(dir)) {
+    const tsconfig = getTsconfig(dir);
+    const matcher = tsconfig ? createPathsMatcher(tsconfig) : null;
+    if (matcher) tsconfigFiles.add(tsconfig.path);
+    tsconfigPaths.set(dir, matcher);
+  }
+  return tsconfigPaths.get(dir);
+}
+
+/**
+ * The import a component file makes once module aliases are applied, resolved the same way
+ * esbuild resolves it for the hydration bundles:
+ * - the packages swapped by the JSX runtime (`alias` in RUNTIMES, e.g. react -> preact/compat)
+ * - `paths` aliases (e.g. `@/components/Chart`) from the nearest tsconfig.json, as the path of the matched file
+ * @param {string} request - The import specifier
+ * @param {string} fromFile - The importing file (MDX file or component)
+ * @param {Object} runtimeAlias - `alias` of the JSX runtime
+ * @returns {string} The specifier to load, `request` itself when no alias applies
+ */
+function resolveModuleAlias(request, fromFile, runtimeAlias) {
+  const aliased = Object.keys(runtimeAlias).find(name => request === name || request.startsWith(`${name}/`));
+  if (aliased) {
+    return runtimeAlias[aliased] + request.slice(aliased.length);
+  }
+  if (request.startsWith('.') || path.isAbsolute(request)) return request;
+
+  const matcher = getTsconfigPaths(path.dirname(fromFile));
+  const req = createRequire(fromFile);
+  for (const candidate of matcher ? matcher(request) : []) {
+    try {
+      return req.resolve(candidate);
+    } catch (err) {
+      // try the next candidate, then the request as a package
+    }
+  }
+  return request;
+}
+
+/**
+ * Load component and MDX imports with the JSX runtime's `alias` also applied to the packages
+ * from node_modules they load, as esbuild does for the browser bundles: a React-based package
+ * then runs on preact/compat on the server too. Node's resolver is only swapped while `load`
+ * runs (require is synchronous), so Hexo and other plugins keep resolving their own packages.
+ * @param {Function} load - Requires the module
+ * @returns {*} What `load` returns
+ */
+function requireWithRuntimeAlias(load) {
+  const runtimeAlias = getRuntime().alias;
+  if (Object.keys(runtimeAlias).length === 0) return load();
+  const Module = require('module');
+  const resolveFilename = Module._resolveFilename;
+  Module._resolveFilename = function(request, ...rest) {
+    const aliased = Object.keys(runtimeAlias).find(name => request === name || request.startsWith(`${name}/`));
+    return resolveFilename.call(this, aliased ? runtimeAlias[aliased] + request.slice(aliased.length) : request, ...rest);
+  };
+  try {
+    return load();
+  } finally {
+    Module._resolveFilename = resolveFilename;
+  }
+}
+
+/**
+ * Babel plugin rewriting the imports, exports, require() and import() calls of components with
+ * resolveModuleAlias, also for modules they require later (e.g. inside a function). It runs in the
+ * Babel register, so only component files are rewritten; packages they load are aliased by
+ * requireWithRuntimeAlias.
+ * @param {Object} babel - Babel API
+ * @returns {Object} The plugin; its `alias` option is the runtime's `alias`
+ */
+function moduleAliasPlugin({ types: t }) {
+  const rewrite = (source, state) => {
+    if (!t.isStringLiteral(source)) return;
+    const resolved = resolveModuleAlias(source.value, state.filename, state.opts.alias || {});
+    if (resolved !== source.value) source.value = resolved;
+  };
+  return {
+    visitor: {
+      'ImportDeclaration|ExportNamedDeclaration|ExportAllDeclaration'(nodePath, state) {
+        if (nodePath.node.source) rewrite(nodePath.node.source, state);
+      },
+      CallExpression(nodePath, state) {
+        const { callee, arguments: args } = nodePath.node;
+        const isRequire = t.isIdentifier(callee, { name: 'require' }) && !nodePath.scope.hasBinding('require');
+        if ((isRequire || t.isImport(callee)) && args.length > 0) rewrite(args[0], state);
+      }
+    }
+  };
+}
+
 // Create a require for loading ESM modules
 let compile;
 let compileLoaded = false;
@@ -48,7 +171,7 @@ async function loadCompile() {
         // First try: dynamic import with proper error handling
         const mdxModule = await (async () => {
           try {
-            return await import('@mdx-js/mdx');
+            return await importModule('@mdx-js/mdx');
           } catch (err) {
             // If dynamic import fails, this might be a require context issue
             // Return null to trigger fallback
@@ -73,328 +196,2469 @@ async function loadCompile() {
 }
 
 /**
- * MDX Renderer for Hexo
- * 
- * This renderer allows you to use MDX files in your Hexo blog.
- * MDX is markdown with JSX support, allowing you to embed React components.
+ * Default values for the `mdx:` section of _config.yml
  */
+const DEFAULT_MDX_CONFIG = {
+  assets_dir: 'assets',
+  cdn_url: '',
+  components: null,
+  highlight: true,
+  parity: false,
+  math: false,
+  cache: true,
+  workers: false,
+  mode: null,
+  bundle: null,
+  runtime: 'react',
+  on_error: 'fail',
+  error_fallback: '<p class="mdx-error">This content could not be rendered.</p>',
+  remark_plugins: [],
+  rehype_plugins: [],
+  recma_plugins: []
+};
+
+const PLUGIN_KINDS = ['remark', 'rehype', 'recma'];
+const ON_ERROR_POLICIES = ['fail', 'warn', 'fallback'];
 
 /**
- * Render MDX content to HTML
- * @param {Object} data - The data object containing MDX content
- * @param {string} data.text - The MDX content to render
- * @param {string} data.path - The file path (for error reporting)
- * @returns {Promise<string>} The rendered HTML
+ * Read the `mdx:` section from the theme config and the site config.
+ * Site values override theme values, except plugin lists, which are
+ * concatenated (theme plugins first) so a theme can ship its own pipeline.
+ * @returns {Object} The merged MDX configuration
  */
-async function mdxRenderer(data) {
-  const { text, path: filePath } = data;
-  
-  // Initialize dependencies Set for tracking imported component files
-  if (!data.dependencies) {
-    data.dependencies = new Set();
+function getMdxConfig() {
+  const siteConfig = (hexo && hexo.config && hexo.config.mdx) || {};
+  let themeConfig = {};
+  if (hexo && hexo.theme && hexo.theme.config && hexo.theme.config.mdx) {
+    themeConfig = hexo.theme.config.mdx;
+  } else if (hexo && hexo.config && hexo.config.theme_config && hexo.config.theme_config.mdx) {
+    themeConfig = hexo.config.theme_config.mdx;
   }
-  
-  try {
-    // Ensure Babel can handle JSX/TS imports from MDX files (e.g., local components).
-    ensureBabelRegister(filePath);
 
-    // Ensure compile function is loaded
-    await loadCompile();
+  const config = Object.assign({}, DEFAULT_MDX_CONFIG, themeConfig, siteConfig);
+  PLUGIN_KINDS.forEach(kind => {
+    const key = `${kind}_plugins`;
+    config[key] = [].concat(themeConfig[key] || [], siteConfig[key] || []);
+  });
+  return config;
+}
+
+/**
+ * Directory (relative to the site root) that hydration bundles are routed under.
+ * @param {Object} config - The merged MDX configuration
+ * @returns {string} The directory without leading or trailing slashes
+ */
+function getAssetsDir(config) {
+  return String(config.assets_dir || '').replace(/^\/+|\/+$/g, '');
+}
 
-    // Stable per-file hash to namespace hydration ids and bundles
-    const fileHash = crypto.createHash('md5').update(filePath).digest('hex').slice(0, 8);
-    
-    // Read the original file directly to bypass Hexo's template processing
-    let content;
+/**
+ * Public URL of a file in the assets dir. Uses `cdn_url` when configured,
+ * otherwise Hexo's `url_for` so the site `root` (e.g. `/blog/`) is respected.
+ * @param {Object} config - The merged MDX configuration
+ * @param {string} file - File name relative to the assets dir
+ * @returns {string}
+ */
+function assetUrl(config, file) {
+  const assetsDir = getAssetsDir(config);
+  const relPath = assetsDir ? `${assetsDir}/${file}` : file;
+  if (config.cdn_url) {
+    return `${String(config.cdn_url).replace(/\/+$/, '')}/${relPath}`;
+  }
+
+  const siteConfig = (hexo && hexo.config) || {};
+  const urlFor = hexo && hexo.extend && hexo.extend.helper && typeof hexo.extend.helper.get === 'function'
+    ? hexo.extend.helper.get('url_for')
+    : null;
+  if (urlFor) {
+    // The page path is unknown while rendering, so links are never made relative
+    return urlFor.call({ config: siteConfig }, `/${relPath}`, { relative: false });
+  }
+  const root = siteConfig.root || '/';
+  return `${root.replace(/\/*$/, '/')}${relPath}`.replace(/\/{2,}/g, '/');
+}
+
+/**
+ * Client half of the built-in runtimes, written next to the hydration entries (see getRuntimeClient).
+ * Each exports `createElement`, `hydrate(element, container)`, `render(element, container)` and
+ * `ErrorBoundary`, which renders its `fallback` prop and calls `onError` when its children throw.
+ */
+const REACT_CLIENT = `import React from 'react';
+import { createRoot, hydrateRoot } from 'react-dom/client';
+
+// Make React available globally for components compiled with the classic JSX runtime
+window.React = React;
+
+export const createElement = React.createElement;
+export const hydrate = (element, container) => hydrateRoot(container, element);
+export const render = (element, container) => createRoot(container).render(element);
+
+export class ErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error) {
+    this.props.onError(error);
+  }
+
+  render() {
+    return this.state.error ? this.props.fallback : this.props.children;
+  }
+}
+`;
+
+const PREACT_CLIENT = `import { Component, h, hydrate as preactHydrate, render as preactRender } from 'preact';
+
+export const createElement = h;
+export const hydrate = (element, container) => preactHydrate(element, container);
+export const render = (element, container) => preactRender(element, container);
+
+export class ErrorBoundary extends Component {
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error) {
+    this.props.onError(error);
+  }
+
+  render() {
+    return this.state.error ? this.props.fallback : this.props.children;
+  }
+}
+`;
+
+/**
+ * Built-in values of `mdx.runtime`. A runtime has:
+ * - jsxImportSource: package providing `/jsx-runtime` and `/jsx-dev-runtime` for MDX and components
+ * - createElement, isValidElement, renderToString, renderToStaticMarkup: server rendering
+ * - client: source of the client module (custom runtimes give a file path instead)
+ * - alias: packages swapped for components on the server and in the bundles, e.g. react -> preact/compat
+ */
+const RUNTIMES = {
+  react: () => {
+    const React = require('react');
+    const { renderToString, renderToStaticMarkup } = require('react-dom/server');
+    return {
+      jsxImportSource: 'react',
+      createElement: React.createElement,
+      isValidElement: React.isValidElement,
+      renderToString,
+      renderToStaticMarkup,
+      client: { source: REACT_CLIENT },
+      alias: {}
+    };
+  },
+  preact: () => {
+    let preact;
+    let server;
     try {
-      content = fs.readFileSync(filePath, 'utf8');
+      preact = require('preact');
+      server = require('preact-render-to-string');
     } catch (err) {
-      // If reading fails, fall back to the provided text
-      content = text;
+      throw new Error('mdx.runtime preact needs the preact and preact-render-to-string packages: run `npm install preact preact-render-to-string --save`.');
     }
-    
-    // Strip YAML front matter if present
-    const frontMatterRegex = /^---\s*\n([\s\S]*?)\n---\s*\n/;
-    const match = content.match(frontMatterRegex);
-    
-    if (match) {
-      // Remove front matter from content
-      content = content.slice(match[0].length);
+    return {
+      jsxImportSource: 'preact',
+      createElement: preact.h,
+      isValidElement: preact.isValidElement,
+      renderToString: server.renderToString,
+      renderToStaticMarkup: server.renderToStaticMarkup,
+      client: { source: PREACT_CLIENT },
+      // Components keep importing from react and react-dom (hooks, createPortal, ...)
+      alias: { react: 'preact/compat', 'react-dom': 'preact/compat' }
+    };
+  }
+};
+
+/**
+ * Resolve a custom `mdx.runtime` module from the Hexo project's base_dir.
+ * @param {string} name - Package name, or a path relative to base_dir
+ * @returns {string} The module's file path
+ */
+function resolveRuntime(name) {
+  const baseDir = getBaseDir();
+  const request = name.startsWith('.') || path.isAbsolute(name) ? path.resolve(baseDir, name) : name;
+  try {
+    return createRequire(path.join(baseDir, 'package.json')).resolve(request);
+  } catch (err) {
+    throw new Error(`Cannot resolve mdx.runtime "${name}" from ${baseDir}: use react, preact or the path of a runtime module.`);
+  }
+}
+
+/**
+ * Load a custom runtime module. It exports the same fields as the built-in runtimes, with
+ * `client` being the path of the client module (relative to the runtime module).
+ * @param {string} name - The `mdx.runtime` value
+ * @returns {Object} The runtime
+ */
+function loadCustomRuntime(name) {
+  const file = resolveRuntime(name);
+  const mod = require(file);
+  const runtime = mod && mod.__esModule && mod.default ? mod.default : mod;
+  const missing = ['jsxImportSource', 'createElement', 'renderToString', 'client'].filter(key => !runtime || !runtime[key]);
+  if (missing.length > 0) {
+    throw new Error(`mdx.runtime ${name} must export ${missing.join(', ')}`);
+  }
+  return {
+    isValidElement: () => false,
+    renderToStaticMarkup: runtime.renderToString,
+    alias: {},
+    ...runtime,
+    client: { file: path.resolve(path.dirname(file), runtime.client) }
+  };
+}
+
+let loadedRuntime = null; // { name, runtime } of the last `mdx.runtime` used
+
+/**
+ * The JSX runtime selected with `mdx.runtime` (react by default).
+ * @param {Object} [config] - The merged MDX configuration
+ * @returns {Object} See RUNTIMES
+ */
+function getRuntime(config = getMdxConfig()) {
+  const name = config.runtime || 'react';
+  if (!loadedRuntime || loadedRuntime.name !== name) {
+    loadedRuntime = { name, runtime: RUNTIMES[name] ? RUNTIMES[name]() : loadCustomRuntime(name) };
+  }
+  return loadedRuntime.runtime;
+}
+
+/**
+ * Path of the runtime's client module for hydration entries. Built-in ones are written into
+ * the entry dir so that, like the entries, they import packages from the Hexo project.
+ * @param {Object} runtime - See getRuntime
+ * @returns {string}
+ */
+function getRuntimeClient(runtime) {
+  if (runtime.client.file) return runtime.client.file;
+  const file = path.join(getEntryDir(), `mdx-runtime-${runtime.jsxImportSource}.mjs`);
+  if (!fs.existsSync(file) || fs.readFileSync(file, 'utf8') !== runtime.client.source) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, runtime.client.source, 'utf8');
+  }
+  return file;
+}
+
+/**
+ * Normalize a plugin entry from the config into `{ name, options }`.
+ * Accepted forms: `'remark-gfm'`, `['remark-gfm', { ... }]`,
+ * and `{ name: 'remark-gfm', options: { ... } }`.
+ * @param {*} entry - The plugin entry as written in _config.yml
+ * @param {string} kind - remark, rehype or recma (for error messages)
+ * @returns {{name: string, options: *}}
+ */
+function normalizePluginEntry(entry, kind) {
+  if (typeof entry === 'string') {
+    return { name: entry, options: undefined };
+  }
+  if (Array.isArray(entry) && typeof entry[0] === 'string') {
+    return { name: entry[0], options: entry[1] };
+  }
+  if (entry && typeof entry === 'object' && typeof entry.name === 'string') {
+    return { name: entry.name, options: entry.options };
+  }
+  throw new Error(
+    `Invalid entry in mdx.${kind}_plugins: ${JSON.stringify(entry)}. Use a package name, a path, [name, options] or { name, options }.`
+  );
+}
+
+/**
+ * Resolve a plugin by package name or local path from the Hexo project's base_dir.
+ * @param {string} name - Package name, or a path relative to base_dir
+ * @param {string} kind - remark, rehype or recma (for error messages)
+ * @returns {string} An absolute file path, or the bare package name when the
+ *   package only exposes an `import` export condition
+ */
+function resolvePlugin(name, kind) {
+  const baseDir = getBaseDir();
+  const isPath = name.startsWith('.') || path.isAbsolute(name);
+  const request = isPath ? path.resolve(baseDir, name) : name;
+  const projectRequire = createRequire(path.join(baseDir, 'package.json'));
+
+  try {
+    return projectRequire.resolve(request);
+  } catch (errProject) {
+    // ESM-only packages may not expose a `require` condition; the package exists though
+    if (errProject.code === 'ERR_PACKAGE_PATH_NOT_EXPORTED') return name;
+    if (!isPath) {
+      try {
+        return require.resolve(request);
+      } catch (errLocal) {
+        if (errLocal.code === 'ERR_PACKAGE_PATH_NOT_EXPORTED') return name;
+      }
     }
-    
-    // Compile MDX to JavaScript with automatic JSX runtime
-    // Use outputFormat: 'function-body' and development: true to avoid jsxImportSource
-    const compiled = await compile(content, {
-      outputFormat: 'function-body',
-      development: true,
-      baseUrl: pathToFileURL(filePath),
-      // remarkRehypeOptions for markdown processing
-      remarkRehypeOptions: {
-        allowDangerousHtml: true
+  }
+
+  const hint = isPath ? 'check the path' : `run \`npm install ${name} --save\``;
+  throw new Error(`Cannot resolve ${kind} plugin "${name}" from ${baseDir} (mdx.${kind}_plugins in _config.yml): ${hint}.`);
+}
+
+/**
+ * Validate the `mdx:` config: every configured plugin must resolve, and `mode` and
+ * `bundle` must hold known values.
+ * Runs before Hexo renders any post (see the before_generate filter below), so a typo in
+ * _config.yml fails fast instead of on the first post.
+ * @param {Object} config - The merged MDX configuration
+ */
+function validateMdxConfig(config) {
+  const errors = [];
+  PLUGIN_KINDS.forEach(kind => {
+    const list = config[`${kind}_plugins`];
+    if (!Array.isArray(list)) {
+      errors.push(`mdx.${kind}_plugins must be a list`);
+      return;
+    }
+    list.forEach(entry => {
+      try {
+        resolvePlugin(normalizePluginEntry(entry, kind).name, kind);
+      } catch (err) {
+        errors.push(err.message);
       }
     });
+  });
+  if (typeof config.runtime !== 'string' || !config.runtime) {
+    errors.push('mdx.runtime must be react, preact or the path of a runtime module');
+  } else if (!RUNTIMES[config.runtime]) {
+    try {
+      resolveRuntime(config.runtime);
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+  if (!ON_ERROR_POLICIES.includes(config.on_error)) {
+    errors.push(`mdx.on_error must be ${ON_ERROR_POLICIES.join(', ')}, got ${JSON.stringify(config.on_error)}`);
+  }
+  if (config.mode != null && config.mode !== 'development' && config.mode !== 'production') {
+    errors.push(`mdx.mode must be development or production, got ${JSON.stringify(config.mode)}`);
+  }
+  const bundle = getBundleConfig(config);
+  if (!BUNDLE_FORMATS.includes(bundle.format)) {
+    errors.push(`mdx.bundle.format must be ${BUNDLE_FORMATS.join(' or ')}, got ${JSON.stringify(bundle.format)}`);
+  }
+  if (!Array.isArray(bundle.external)) {
+    errors.push('mdx.bundle.external must be a list');
+  }
+  ['define', 'alias'].forEach(key => {
+    if (!bundle[key] || typeof bundle[key] !== 'object' || Array.isArray(bundle[key])) {
+      errors.push(`mdx.bundle.${key} must map names to values`);
+    }
+  });
+  if (errors.length > 0) {
+    throw new Error(`Invalid mdx configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+}
 
-    // Create a function from the compiled code
-    const code = String(compiled);
-    
-    // When development: true, the compiled code uses jsxDEV from react/jsx-dev-runtime
-    const jsxDevRuntime = require('react/jsx-dev-runtime');
-    
-    // Replace dynamic imports with a shim that resolves relative to the MDX file and uses require to stay in CJS.
-    const toModuleNamespace = (mod) => {
-      // If it already looks like an ES module with a default export, return as-is
-      if (mod && typeof mod === 'object' && 'default' in mod) return mod;
-      // For CJS modules, wrap as ES module: spread first, then set default to ensure it's not overwritten
-      if (mod && typeof mod === 'object') {
-        return { ...mod, default: mod };
+const loadedPlugins = new Map(); // Map of resolved plugin path -> plugin function
+
+/**
+ * Load the configured plugins of one kind, ready to be passed to `compile()`.
+ * @param {Object} config - The merged MDX configuration
+ * @param {string} kind - remark, rehype or recma
+ * @returns {Promise<Array>} A unified plugin list (`[plugin, options]` tuples)
+ */
+async function loadPlugins(config, kind) {
+  const list = config[`${kind}_plugins`] || [];
+  const plugins = [];
+  for (const entry of list) {
+    const { name, options } = normalizePluginEntry(entry, kind);
+    const resolved = resolvePlugin(name, kind);
+    if (!loadedPlugins.has(resolved)) {
+      const specifier = path.isAbsolute(resolved) ? pathToFileURL(resolved).href : resolved;
+      const mod = await importModule(specifier);
+      let plugin = mod && mod.default !== undefined ? mod.default : mod;
+      // CJS modules imported from ESM may be wrapped twice
+      if (plugin && typeof plugin === 'object' && typeof plugin.default === 'function') {
+        plugin = plugin.default;
       }
-      // For primitive or function values, just set as default
-      return { default: mod };
+      if (typeof plugin !== 'function') {
+        throw new Error(`${kind} plugin "${name}" does not export a function`);
+      }
+      loadedPlugins.set(resolved, plugin);
+    }
+    plugins.push(options === undefined ? [loadedPlugins.get(resolved)] : [loadedPlugins.get(resolved), options]);
+  }
+  return plugins;
+}
+
+/**
+ * Load a module that maps names to components (`{ Chart, h1: Heading }`), exported
+ * directly or as the default export.
+ * @param {string} file - Absolute path to the module
+ * @returns {Array<{name: string, component: *, file: string, exportPath: string[]}>}
+ */
+function loadComponentMapping(file) {
+  ensureBabelRegister(file);
+  const mod = requireWithRuntimeAlias(() => require(file));
+  const useDefault = mod && mod.default && typeof mod.default === 'object' && !mod.default.$$typeof;
+  const mapping = useDefault ? mod.default : mod;
+  return Object.keys(mapping)
+    .filter(name => name !== 'default' && name !== '__esModule' && mapping[name])
+    .map(name => ({
+      name,
+      component: mapping[name],
+      file,
+      exportPath: useDefault ? ['default', name] : [name]
+    }));
+}
+
+/**
+ * Collect globally provided components, later sources overriding earlier ones:
+ * the theme's `mdx-components.js`, the site's `source/_mdx/components.js`, then
+ * `mdx.components` in _config.yml (a mapping module path, or names mapped to component files).
+ * @returns {Array<{name: string, component: *, file: string, exportPath: string[]}>}
+ */
+function loadGlobalComponents() {
+  const baseDir = getBaseDir();
+  const projectRequire = createRequire(path.join(baseDir, 'package.json'));
+  const tryResolve = request => {
+    try {
+      return projectRequire.resolve(request);
+    } catch (err) {
+      return null;
+    }
+  };
+
+  const entries = [];
+  const themeFile = hexo && hexo.theme_dir ? tryResolve(path.join(hexo.theme_dir, 'mdx-components')) : null;
+  if (themeFile) entries.push(...loadComponentMapping(themeFile));
+
+  const sourceDir = (hexo && hexo.source_dir) ? hexo.source_dir : path.join(baseDir, 'source');
+  const siteFile = tryResolve(path.join(sourceDir, '_mdx', 'components'));
+  if (siteFile) entries.push(...loadComponentMapping(siteFile));
+
+  const configured = getMdxConfig().components;
+  const resolveConfigured = request => {
+    const isPath = request.startsWith('.') || path.isAbsolute(request);
+    const file = tryResolve(isPath ? path.resolve(baseDir, request) : request);
+    if (!file) throw new Error(`Cannot resolve "${request}" from ${baseDir} (mdx.components in _config.yml)`);
+    return file;
+  };
+  if (typeof configured === 'string') {
+    entries.push(...loadComponentMapping(resolveConfigured(configured)));
+  } else if (configured && typeof configured === 'object') {
+    Object.keys(configured).forEach(name => {
+      const file = resolveConfigured(String(configured[name]));
+      ensureBabelRegister(file);
+      const mod = requireWithRuntimeAlias(() => require(file));
+      const component = mod && mod.__esModule ? mod.default : mod;
+      entries.push({ name, component, file, exportPath: ['default'] });
+    });
+  }
+
+  // Later sources win
+  const byName = new Map();
+  entries.forEach(entry => byName.set(entry.name, entry));
+  return Array.from(byName.values());
+}
+
+/**
+ * Check whether a module's default export looks like a React component.
+ * Plain functions named in camelCase (e.g. `formatDate`) are treated as helpers.
+ * @param {*} value - The default export
+ * @returns {boolean}
+ */
+function isComponentExport(value) {
+  if (value && typeof value === 'object' && value.$$typeof) {
+    // React.memo / React.forwardRef / lazy components
+    return true;
+  }
+  return typeof value === 'function' && !/^[a-z]/.test(value.name || '');
+}
+
+/**
+ * Build the Hexo helpers available in MDX, bound to a template-like context for
+ * the page being rendered (the same `this` helpers get in theme templates).
+ * @param {Object} scope - The MDX scope (`page`, `site`, `config`)
+ * @param {Function} RawHtml - Component that outputs a string as raw HTML
+ * @returns {{helpers: Object, Helpers: Object}} `helpers.url_for(...)` style functions
+ *   and `<Helpers.UrlFor />` style components
+ */
+function createHelpers(scope, RawHtml) {
+  const helpers = {};
+  const Helpers = {};
+  const registered = hexo && hexo.extend && hexo.extend.helper && typeof hexo.extend.helper.list === 'function'
+    ? hexo.extend.helper.list()
+    : {};
+
+  const { page, site, config } = scope;
+  const { createElement } = getRuntime();
+  const context = {
+    page,
+    path: page.path || '',
+    url: '',
+    config,
+    theme: Object.assign({}, hexo && hexo.theme && hexo.theme.config, config.theme_config),
+    layout: page.layout,
+    env: hexo && hexo.env,
+    view_dir: hexo && hexo.theme_dir ? path.join(hexo.theme_dir, 'layout') : '',
+    site
+  };
+
+  Object.keys(registered).forEach(name => {
+    const helper = registered[name].bind(context);
+    // Helpers call each other through `this`, as in templates
+    context[name] = helper;
+    helpers[name] = helper;
+
+    // image_tag -> <Helpers.ImageTag args={['/logo.png']} alt="Logo" />
+    const componentName = name.replace(/(^|_)([a-z0-9])/g, (match, sep, ch) => ch.toUpperCase());
+    const HelperComponent = ({ args, children, ...options }) => {
+      let positional = Array.isArray(args) ? args : (args === undefined ? [] : [args]);
+      if (args === undefined && typeof children === 'string') positional = [children];
+      const result = Object.keys(options).length > 0 ? helper(...positional, options) : helper(...positional);
+      return result === undefined || result === null ? null : createElement(RawHtml, { html: result });
     };
-    // Collect components used so we can hydrate them client-side
-    const componentsForHydration = [];
-    const dynamicImport = (specifier) => {
-      const asString = String(specifier);
-      const req = createRequire(filePath);
+    HelperComponent.displayName = `Helpers.${componentName}`;
+    Helpers[componentName] = HelperComponent;
+  });
 
-      // Resolve a filesystem path for this specifier
-      let fsPath;
-      try {
-        if (asString.startsWith('file://')) {
-          fsPath = fileURLToPath(asString);
-        } else {
-          const resolvedUrl = new URL(asString, pathToFileURL(filePath));
-          if (resolvedUrl.protocol === 'file:') {
-            fsPath = fileURLToPath(resolvedUrl);
-          }
-        }
-      } catch (e) {
-        // ignore - will try bare require
-      }
+  if (context.full_url_for) {
+    context.url = context.full_url_for(context.path);
+  }
 
-      // Create a placeholder component for server-side rendering
-      const placeholderId = `mdx-cmp-${fileHash}-${componentsForHydration.length + 1}`;
-      const Placeholder = (props) => {
-        return React.createElement('div', { 'data-mdx-component': placeholderId });
-      };
+  return { helpers, Helpers };
+}
 
-      // Record mapping for hydration bundle (use filesystem path when available, otherwise the original specifier)
-      componentsForHydration.push({ id: placeholderId, spec: fsPath || asString });
+/**
+ * Splice raw HTML into rendered markup in place of `<mdx-raw>` placeholders. Placeholders
+ * also end up JSON-encoded inside `data-mdx-props` when they are part of island children,
+ * and inside blocks holding a component rendered on its own (see createIsland).
+ * @param {string} html - Markup rendered by React
+ * @param {string[]} blocks - Raw HTML by placeholder index
+ * @returns {string}
+ */
+function injectRawHtml(html, blocks) {
+  const escapeAttr = str => str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#x27;');
+  // A block only holds placeholders pushed before it, so this ends
+  const block = i => injectRawHtml(blocks[i], blocks.slice(0, i));
+  return html
+    .replace(/<mdx-raw data-index="(\d+)"><\/mdx-raw>/g, (match, i) => block(Number(i)))
+    // Inside serialized props; React escapes `>` in attributes, Preact does not
+    .replace(/&lt;mdx-raw data-index=\\&quot;(\d+)\\&quot;(?:&gt;|>)&lt;\/mdx-raw(?:&gt;|>)/g,
+      (match, i) => escapeAttr(JSON.stringify(block(Number(i))).slice(1, -1)));
+}
 
-      // Register component file as a dependency so Hexo watches it for changes
-      if (fsPath && data.dependencies) {
-        data.dependencies.add(fsPath);
+// Write one tag argument the way Hexo's tag parser reads it back: quoted (with its quotes and
+// backslashes escaped) when it holds whitespace or quotes, which would split or unquote it
+function quoteTagArg(arg) {
+  const str = String(arg);
+  return /[\s"']/.test(str) ? `"${str.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"` : str;
+}
+
+/**
+ * Create the `<Tag>` component that runs Hexo tag plugins from MDX, e.g.
+ * `<Tag name="youtube" args={['dQw4w9WgXcQ']} />`. The tag body comes from the
+ * `body` prop or a string child; block tags get it between `{% name %}` and `{% endname %}`.
+ * @param {Object} page - The post/page being rendered (tag plugins' `this`)
+ * @param {string} filePath - Source path, for error messages
+ * @param {Function} RawHtml - Component that outputs a (possibly async) string as raw HTML
+ * @returns {Function} The Tag component
+ */
+function createTagComponent(page, filePath, RawHtml) {
+  const Tag = ({ name, args = [], body, children }) => {
+    if (!hexo || !hexo.extend || !hexo.extend.tag) {
+      throw new Error(`<Tag name="${name}"> needs Hexo tag plugins, which are not available`);
+    }
+    const argList = (Array.isArray(args) ? args : [args]).map(quoteTagArg).join(' ');
+    const content = body !== undefined ? body : (typeof children === 'string' ? children : undefined);
+    let source = `{% ${name}${argList ? ' ' + argList : ''} %}`;
+    if (content !== undefined) {
+      // Keep `{{ }}` in the body literal, as Hexo does for code in Markdown posts
+      const rawBody = String(content).includes('{% endraw %}') ? content : `{% raw %}${content}{% endraw %}`;
+      source += `${rawBody}{% end${name} %}`;
+    }
+    const html = hexo.extend.tag.render(source, { ...page, source: page.source || filePath });
+    return getRuntime().createElement(RawHtml, { html });
+  };
+  Tag.displayName = 'Tag';
+  return Tag;
+}
+
+// Per-block options accepted after the language, as in Hexo's backtick code blocks
+const rCodeOptions = /\s((?:line_number|line_threshold|first_line|wrap|mark|language_attr|highlight):\S+)/g;
+const rCodeTitle = /\s(?:title|caption)=(?:"([^"]*)"|'([^']*)'|(\S+))/;
+const rAllOptions = /([^\s]+)\s+(.+?)\s+(https?:\/\/\S+|\/\S+)\s*(.+)?/;
+const rLangCaption = /([^\s]+)\s*(.+)?/;
+
+/**
+ * Parse the info string of a fenced code block into options for `hexo.extend.highlight`.
+ * Follows Hexo's own syntax (`js Caption https://url link mark:1,3-5 line_number:false`)
+ * and also accepts `title="app.js"` as the caption.
+ * @param {string} lang - Language of the block (first word of the info string)
+ * @param {string} meta - Rest of the info string
+ * @param {string} code - Code of the block
+ * @returns {{enabled: boolean, options: Object}}
+ */
+function parseCodeMeta(lang, meta, code) {
+  let args = ` ${lang || ''} ${meta || ''}`;
+  const options = { firstLine: 1, mark: [], lines_length: code.split('\n').length };
+  let enabled = true;
+
+  const title = rCodeTitle.exec(args);
+  if (title) {
+    args = args.replace(title[0], '');
+    options.caption = `<span>${[title[1], title[2], title[3]].find(v => v !== undefined)}</span>`;
+  }
+
+  let match;
+  rCodeOptions.lastIndex = 0;
+  while ((match = rCodeOptions.exec(args)) !== null) {
+    const [key, value] = match[1].split(':');
+    switch (key) {
+      case 'highlight':
+        enabled = value === 'true';
+        break;
+      case 'line_number':
+        options.line_number = value === 'true';
+        break;
+      case 'line_threshold':
+        if (!isNaN(Number(value))) options.line_threshold = +value;
+        break;
+      case 'first_line':
+        if (!isNaN(Number(value))) options.firstLine = +value;
+        break;
+      case 'wrap':
+        options.wrap = value === 'true';
+        break;
+      case 'language_attr':
+        options.language_attr = value === 'true';
+        break;
+      case 'mark':
+        value.split(',').forEach(range => {
+          let [a, b] = range.split('-').map(Number);
+          if (b === undefined) b = a;
+          if (Number.isNaN(a) || Number.isNaN(b)) return;
+          if (b < a) [a, b] = [b, a];
+          for (; a <= b; a++) options.mark.push(a);
+        });
+        break;
+    }
+  }
+  args = args.replace(rCodeOptions, '').trim();
+
+  // `js=5` sets the first line number when `highlight.first_line_number` is `inline`
+  const [langArgs, firstLineNumber] = args.replace('=+', '=').split('=');
+  if (firstLineNumber !== undefined) options.firstLineNumber = firstLineNumber || 1;
+
+  const parsed = langArgs && (rAllOptions.exec(langArgs) || rLangCaption.exec(langArgs));
+  if (parsed) {
+    options.lang = parsed[1];
+    if (parsed[2] && !options.caption) {
+      options.caption = `<span>${parsed[2]}</span>`;
+      if (parsed[3]) options.caption += `<a href="${parsed[3]}">${parsed[4] ? parsed[4] : 'link'}</a>`;
+    }
+  }
+  return { enabled, options };
+}
+
+/**
+ * Whether the site's `syntax_highlighter` (highlight.js or prismjs) is enabled.
+ * @returns {boolean}
+ */
+function isHighlightEnabled() {
+  const highlight = hexo && hexo.extend && hexo.extend.highlight;
+  const name = hexo && hexo.config && hexo.config.syntax_highlighter;
+  return Boolean(highlight && typeof highlight.query === 'function' && highlight.query(name));
+}
+
+/**
+ * Remark plugin that hands fenced code blocks to the site's `syntax_highlighter`.
+ * Each block becomes a `<HexoCodeBlock code lang meta />` element, highlighted by
+ * the component from `createCodeBlockComponent` while rendering, so the compiled
+ * code does not depend on Hexo (and can be produced in a worker).
+ * @returns {Function} The transformer
+ */
+function remarkCodeBlocks() {
+  const attribute = (name, value) => ({ type: 'mdxJsxAttribute', name, value });
+  const visit = (node) => {
+    if (!node.children) return;
+    node.children = node.children.map(child => {
+      if (child.type !== 'code') {
+        visit(child);
+        return child;
+      }
+      if (!parseCodeMeta(child.lang, child.meta, child.value).enabled) return child;
+      return {
+        type: 'mdxJsxFlowElement',
+        name: 'HexoCodeBlock',
+        attributes: [attribute('code', child.value), attribute('lang', child.lang || ''), attribute('meta', child.meta || '')],
+        children: [],
+        position: child.position
+      };
+    });
+  };
+  return visit;
+}
+
+/**
+ * Create the component that renders `<HexoCodeBlock>` elements with the site's
+ * `syntax_highlighter` (highlight.js or prismjs settings from _config.yml), so
+ * MDX and Markdown posts produce the same markup.
+ * @param {Function} RawHtml - Component that outputs a string as raw HTML
+ * @returns {Function} The component
+ */
+function createCodeBlockComponent(RawHtml) {
+  const HexoCodeBlock = ({ code, lang, meta }) => {
+    const { options } = parseCodeMeta(lang, meta, code);
+    const html = hexo.extend.highlight.exec(hexo.config.syntax_highlighter, { context: hexo, args: [code, options] });
+    return getRuntime().createElement(RawHtml, { html });
+  };
+  HexoCodeBlock.displayName = 'HexoCodeBlock';
+  return HexoCodeBlock;
+}
+
+let remarkGfm = null;
+
+/**
+ * Plugins for `mdx.parity`: render MDX posts like hexo-renderer-marked renders
+ * Markdown posts, i.e. with GFM, heading ids and a `{/* more *\/}` excerpt marker.
+ * @returns {Promise<{remark: Array, rehype: Array}>}
+ */
+async function loadParityPlugins() {
+  if (!remarkGfm) {
+    remarkGfm = (await importModule('remark-gfm')).default;
+  }
+  // Anchors follow the site's `marked.modifyAnchors` so links to headings match Markdown posts
+  const markedConfig = (hexo && hexo.config && hexo.config.marked) || {};
+  return {
+    remark: [remarkGfm, remarkExcerpt],
+    rehype: [[rehypeHeadingIds, { transform: markedConfig.modifyAnchors }]]
+  };
+}
+
+/**
+ * Turn `{/* more *\/}` into `<!-- more -->` in the output, where Hexo's excerpt
+ * filter picks it up and sets `page.excerpt` and `page.more`.
+ * @returns {Function} The transformer
+ */
+function remarkExcerpt() {
+  const rMore = /^\/\*\s*more\s*\*\/$/i;
+  const visit = (node) => {
+    if (!node.children) return;
+    node.children = node.children.map(child => {
+      if (child.type === 'mdxFlowExpression' && rMore.test(child.value.trim())) {
+        return {
+          type: 'mdxJsxFlowElement',
+          name: 'HexoRawHtml',
+          attributes: [{ type: 'mdxJsxAttribute', name: 'html', value: '<!-- more -->' }],
+          children: [],
+          position: child.position
+        };
+      }
+      visit(child);
+      return child;
+    });
+  };
+  return visit;
+}
+
+/**
+ * Give headings the same `id`s as hexo-renderer-marked (slugized text, with `-1`,
+ * `-2`, ... for duplicates), so Hexo's `toc` helper can link to them.
+ * @param {Object} [options]
+ * @param {number} [options.transform] - 1 lowercases, 2 uppercases the ids
+ * @returns {Function} The transformer
+ */
+function rehypeHeadingIds(options = {}) {
+  const { slugize } = require('hexo-util');
+  const rHeading = /^h[1-6]$/;
+  const textOf = node => node.type === 'text' ? node.value : (node.children || []).map(textOf).join('');
+  return (tree) => {
+    const seen = {};
+    const visit = (node) => {
+      (node.children || []).forEach(child => {
+        if (child.type === 'element' && rHeading.test(child.tagName)) {
+          if (child.properties && child.properties.id) return;
+          let id = slugize(textOf(child).trim(), { transform: options.transform });
+          if (seen[id]) {
+            id += `-${seen[id]++}`;
+          } else {
+            seen[id] = 1;
+          }
+          child.properties = { ...child.properties, id };
+          return;
+        }
+        visit(child);
+      });
+    };
+    visit(tree);
+  };
+}
+
+let remarkMath = null;
+
+/**
+ * Marker attribute of the KaTeX stylesheet link, used to keep one per page
+ */
+const KATEX_STYLESHEET_ATTR = 'data-mdx-katex';
+
+/**
+ * Read the `mdx.math` option: `true`, or an object of KaTeX options plus
+ * `stylesheet` (the KaTeX CSS URL, or false to leave the CSS to the theme).
+ * @param {Object} config - The merged MDX configuration
+ * @returns {{stylesheet: (string|false), katexOptions: Object}|null} Null when math is off
+ */
+function getMathOptions(config) {
+  if (!config.math) return null;
+  const { stylesheet, ...katexOptions } = config.math === true ? {} : config.math;
+  const version = require('katex/package.json').version;
+  return {
+    stylesheet: stylesheet === undefined ? `https://cdn.jsdelivr.net/npm/katex@${version}/dist/katex.min.css` : stylesheet,
+    katexOptions
+  };
+}
+
+/**
+ * Load the plugins for `mdx.math`: `$...$` / `$$...$$` syntax, rendered to KaTeX
+ * HTML at build time. TeX is parsed before JSX expressions, so `{` inside math is fine.
+ * @param {Object} katexOptions - Options passed to `katex.renderToString`
+ * @returns {Promise<Array>} Remark plugins
+ */
+async function loadMathPlugins(katexOptions) {
+  if (!remarkMath) {
+    remarkMath = (await importModule('remark-math')).default;
+  }
+  const katex = require('katex');
+
+  const render = (node, displayMode) => {
+    try {
+      return katex.renderToString(node.value, { ...katexOptions, displayMode, throwOnError: true });
+    } catch (err) {
+      // Reported with the file, line and a code frame by mdxRenderer
+      throw Object.assign(new Error(`Invalid math: ${err.message}`), { position: node.position });
+    }
+  };
+  const visit = (node) => {
+    if (!node.children) return;
+    node.children = node.children.map(child => {
+      if (child.type !== 'math' && child.type !== 'inlineMath') {
+        visit(child);
+        return child;
+      }
+      return {
+        type: child.type === 'math' ? 'mdxJsxFlowElement' : 'mdxJsxTextElement',
+        name: 'HexoRawHtml',
+        attributes: [{ type: 'mdxJsxAttribute', name: 'html', value: render(child, child.type === 'math') }],
+        children: [],
+        position: child.position
+      };
+    });
+  };
+  return [remarkMath, () => visit];
+}
+
+/**
+ * Wrap pre-rendered children HTML in an element that renders identically on
+ * the server and in the hydration entry, so `hydrateRoot` sees matching markup.
+ * Keep in sync with `staticChildren` in the generated hydration entry.
+ * @param {string} html - Static HTML of the children
+ * @returns {*} An element of the configured runtime
+ */
+function staticChildren(html) {
+  return getRuntime().createElement('div', {
+    'data-mdx-children': '',
+    style: { display: 'contents' },
+    dangerouslySetInnerHTML: { __html: html }
+  });
+}
+
+/**
+ * Convert a component instance's props into JSON-safe values for `data-mdx-props`.
+ * Element children are rendered to static HTML; other values that cannot be
+ * serialized (functions, symbols, class instances, elements) are dropped.
+ * @param {Object} props - The props passed to the component in MDX
+ * @returns {{props: Object, dropped: string[]}} Serializable props and the names of dropped props
+ */
+function serializeProps(props) {
+  const { isValidElement, renderToStaticMarkup } = getRuntime();
+  const dropped = [];
+  const toJsonSafe = (value, name) => {
+    if (value === null || typeof value === 'string' || typeof value === 'boolean') return value;
+    if (typeof value === 'number') {
+      if (Number.isFinite(value)) return value;
+      dropped.push(name);
+      return undefined;
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, i) => {
+        const safe = toJsonSafe(item, `${name}[${i}]`);
+        return safe === undefined ? null : safe;
+      });
+    }
+    const proto = value && typeof value === 'object' ? Object.getPrototypeOf(value) : undefined;
+    if ((proto === Object.prototype || proto === null) && !isValidElement(value)) {
+      const out = {};
+      Object.keys(value).forEach(key => {
+        const safe = toJsonSafe(value[key], `${name}.${key}`);
+        if (safe !== undefined) out[key] = safe;
+      });
+      return out;
+    }
+    if (value !== undefined) dropped.push(name);
+    return undefined;
+  };
+
+  const out = {};
+  Object.keys(props).forEach(key => {
+    const value = props[key];
+    if (key === 'children') {
+      if (value === undefined || value === null) return;
+      out.children = (typeof value === 'string' || typeof value === 'number')
+        ? value
+        : { $$html: renderToStaticMarkup(value) };
+      return;
+    }
+    const safe = toJsonSafe(value, key);
+    if (safe !== undefined) out[key] = safe;
+  });
+  return { props: out, dropped };
+}
+
+/**
+ * Restore props serialized by `serializeProps` (server side counterpart of the
+ * entry's `revive`), so SSR renders exactly what hydration will render.
+ * @param {Object} props - Serialized props
+ * @returns {Object}
+ */
+function reviveProps(props) {
+  if (props.children && typeof props.children === 'object' && '$$html' in props.children) {
+    return { ...props, children: staticChildren(props.children.$$html) };
+  }
+  return props;
+}
+
+/**
+ * Hydration directives recognised on imported components, in order of precedence.
+ * `static` (or no directive at all) renders plain HTML and ships no JavaScript.
+ */
+const HYDRATION_DIRECTIVES = {
+  'client:only': 'only',
+  'client:load': 'load',
+  'client:idle': 'idle',
+  'client:visible': 'visible',
+  'static': 'static'
+};
+
+/**
+ * Pull the hydration directive out of a component instance's props.
+ * @param {Object} props - The props passed to the component in MDX
+ * @returns {{directive: string, props: Object}} The directive (`static` when
+ *   none is given) and the props without any directive
+ */
+function extractHydrationDirective(props) {
+  let directive = null;
+  const rest = {};
+  Object.keys(props).forEach(key => {
+    if (Object.prototype.hasOwnProperty.call(HYDRATION_DIRECTIVES, key)) {
+      if (props[key] !== false && directive === null) directive = HYDRATION_DIRECTIVES[key];
+      return;
+    }
+    rest[key] = props[key];
+  });
+  return { directive: directive || 'static', props: rest };
+}
+
+// First line of a hydration entry: the MDX file it belongs to. Kept in the entry itself because
+// Hexo does not render cached posts again, so the bundler cannot learn it from the renderer.
+const ENTRY_SOURCE_COMMENT = '// mdx-source: ';
+
+/**
+ * Read the MDX file a hydration entry belongs to.
+ * @param {string} entryPath - Hydration entry written by the renderer
+ * @returns {string|null} Source path relative to base_dir, or null for entries without one
+ */
+function readEntrySource(entryPath) {
+  try {
+    const firstLine = fs.readFileSync(entryPath, 'utf8').split('\n', 1)[0];
+    return firstLine.startsWith(ENTRY_SOURCE_COMMENT) ? firstLine.slice(ENTRY_SOURCE_COMMENT.length) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Generate the source of a hydration entry for the components of one MDX file.
+ * @param {Array<{id: string, spec: string, exportPath: string[]}>} components - Components recorded during rendering
+ * @param {string} entryPath - Where the entry will be written (imports are relative to it)
+ * @param {Object} [options]
+ * @param {string[]} [options.stylesheets] - CSS files imported by the post's components
+ * @param {string} [options.runtimeClient] - Client module of the JSX runtime (see getRuntimeClient)
+ * @param {string} [options.errorFallback] - HTML shown in place of an island that throws (mdx.error_fallback)
+ * @param {string} [options.source] - MDX file the entry belongs to, relative to base_dir (see readEntrySource)
+ * @returns {string} The entry module source
+ */
+function buildHydrationEntrySource(components, entryPath, { stylesheets = [], runtimeClient, errorFallback = '', source } = {}) {
+  const toImportPath = (spec) => {
+    // Convert absolute path to relative path from entry directory
+    let importPath = spec;
+    if (path.isAbsolute(importPath)) {
+      importPath = path.relative(path.dirname(entryPath), importPath);
+    }
+    // Normalize slashes for JS import
+    importPath = importPath.replace(/\\/g, '/');
+    // Ensure relative imports start with ./ or ../
+    if (!importPath.startsWith('.')) {
+      importPath = './' + importPath;
+    }
+    return importPath;
+  };
+
+  // Stylesheets the post's components import on the server, so esbuild extracts them into the post's CSS bundle
+  const styleImports = stylesheets.map(file => `import ${JSON.stringify(toImportPath(file))};`).join('\n');
+  const header = source ? `${ENTRY_SOURCE_COMMENT}${source}\n` : '';
+  if (components.length === 0) {
+    return `${header}${styleImports}\n`;
+  }
+
+  const imports = components.map((c, i) => `import * as M${i} from ${JSON.stringify(toImportPath(c.spec))};`).join('\n');
+
+  const mapping = components.map((c, i) => {
+    const access = (c.exportPath || ['default']).map(key => `[${JSON.stringify(key)}]`).join('');
+    return `  '${c.id}': M${i}${access}`;
+  }).join(',\n');
+
+  return `${header}import { createElement, hydrate, render, ErrorBoundary } from ${JSON.stringify(toImportPath(runtimeClient))};
+${styleImports}
+
+${imports}
+
+const mapping = {
+${mapping}
+};
+
+// Must render the same markup as staticChildren() in hexo-renderer-mdx
+const staticChildren = (html) => createElement('div', {
+  'data-mdx-children': '',
+  style: { display: 'contents' },
+  dangerouslySetInnerHTML: { __html: html }
+});
+
+const revive = (props) => {
+  if (props.children && typeof props.children === 'object' && '$$html' in props.children) {
+    return { ...props, children: staticChildren(props.children.$$html) };
+  }
+  return props;
+};
+
+// Shown in place of an island that throws in the browser; the rest of the page keeps working
+const errorFallback = createElement('div', {
+  'data-mdx-fallback': '',
+  style: { display: 'contents' },
+  dangerouslySetInnerHTML: { __html: ${JSON.stringify(errorFallback)} }
+});
+
+const mount = (el, Comp) => {
+  const props = el.dataset.mdxProps ? JSON.parse(el.dataset.mdxProps) : {};
+  const onError = (error) => console.error('[hexo-renderer-mdx] Island ' + el.dataset.mdxComponent + ' failed', error);
+  const element = createElement(ErrorBoundary, { fallback: errorFallback, onError }, createElement(Comp, revive(props)));
+  // client:only islands, and islands whose server render failed, have no markup to hydrate
+  if (el.dataset.mdxHydrate === 'only' || 'mdxFallback' in el.dataset) {
+    render(element, el);
+  } else {
+    hydrate(element, el);
+  }
+};
+
+const schedule = (el, run) => {
+  switch (el.dataset.mdxHydrate) {
+    case 'idle':
+      if ('requestIdleCallback' in window) {
+        window.requestIdleCallback(run);
+      } else {
+        setTimeout(run, 200);
+      }
+      break;
+    case 'visible':
+      if ('IntersectionObserver' in window) {
+        const observer = new IntersectionObserver(entries => {
+          if (entries.some(entry => entry.isIntersecting)) {
+            observer.disconnect();
+            run();
+          }
+        });
+        observer.observe(el);
+      } else {
+        run();
+      }
+      break;
+    default:
+      run();
+  }
+};
+
+Object.keys(mapping).forEach(id => {
+  const Comp = mapping[id];
+  document.querySelectorAll('[data-mdx-component="' + id + '"]').forEach(el => {
+    schedule(el, () => {
+      try {
+        mount(el, Comp);
+      } catch (error) {
+        console.error('[hexo-renderer-mdx] Island ' + id + ' failed', error);
+      }
+    });
+  });
+});
+`;
+}
+
+// Files components can import besides code: stylesheets, and static assets that resolve to their URL
+const ASSET_EXTENSIONS = [
+  '.png', '.jpg', '.jpeg', '.gif', '.webp', '.avif', '.svg', '.ico',
+  '.woff', '.woff2', '.ttf', '.otf', '.eot', '.mp4', '.webm', '.mp3', '.wav'
+];
+const rAssetFile = new RegExp(`\\.(?:${ASSET_EXTENSIONS.map(ext => ext.slice(1)).join('|')})$`, 'i');
+const usedAssets = new Map(); // Map of imported asset path -> file name under the assets dir
+const cssModules = new Map(); // Map of CSS module path -> { mtimeMs, css, classes }
+
+/**
+ * File name of an imported asset under the assets dir, with a content hash for long-term caching.
+ * Records the asset so the mdx_hydration generator routes it.
+ * @param {string} file - Absolute path of the asset
+ * @returns {string} e.g. `media/logo-1a2b3c4d.svg`
+ */
+function useAsset(file) {
+  const ext = path.extname(file);
+  const name = `media/${path.basename(file, ext)}-${hashOf(fs.readFileSync(file)).slice(0, 8)}${ext}`;
+  usedAssets.set(file, name);
+  return name;
+}
+
+/**
+ * Compile a CSS module (`*.module.css`) with esbuild's local-css loader. Server rendering and
+ * the browser bundle both take class names from here, so they always agree. esbuild names
+ * classes `<file>_<class>`; a hash of the file's path keeps same-named modules apart.
+ * @param {string} file - Absolute path of the CSS module
+ * @returns {{css: string, classes: Object<string, string>}} The global CSS and the class name map
+ */
+function transformCssModule(file) {
+  const { mtimeMs } = fs.statSync(file);
+  const cached = cssModules.get(file);
+  if (cached && cached.mtimeMs === mtimeMs) return cached;
+
+  const result = require('esbuild').buildSync({
+    stdin: { contents: `export { default } from ${JSON.stringify(`./${path.basename(file)}`)};`, resolveDir: path.dirname(file) },
+    bundle: true,
+    write: false,
+    format: 'cjs',
+    outdir: path.dirname(file),
+    // Asset URLs stay as written; the hydration build resolves them (see createStylePlugin)
+    external: ASSET_EXTENSIONS.map(ext => `*${ext}`),
+    logLevel: 'silent'
+  });
+  const output = ext => result.outputFiles.find(out => out.path.endsWith(ext));
+  const mod = { exports: {} };
+  new Function('module', 'exports', output('.js').text)(mod, mod.exports);
+  const esbuildClasses = mod.exports.default || {};
+
+  const baseDir = getBaseDir();
+  const suffix = hashOf(path.relative(baseDir, file).split(path.sep).join('/')).slice(0, 6);
+  const names = new Set();
+  Object.keys(esbuildClasses).forEach(key => String(esbuildClasses[key]).split(/\s+/).forEach(name => name && names.add(name)));
+  const rename = str => names.size === 0 ? str : str.replace(
+    new RegExp(`(^|[^\\w-])(${Array.from(names).map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})(?![\\w-])`, 'g'),
+    (match, before, name) => `${before}${name}_${suffix}`
+  );
+  const classes = {};
+  Object.keys(esbuildClasses).forEach(key => {
+    classes[key] = rename(String(esbuildClasses[key]));
+  });
+
+  const compiled = { mtimeMs, css: rename(output('.css') ? output('.css').text : ''), classes };
+  cssModules.set(file, compiled);
+  return compiled;
+}
+
+let styleHooksRegistered = false;
+/**
+ * Let components import stylesheets and assets on the server: CSS modules resolve to their
+ * class names, other CSS to nothing (the browser gets it from the post's CSS bundle) and
+ * assets to their public URL.
+ */
+function ensureStyleHooks() {
+  if (styleHooksRegistered) return;
+  require.extensions['.css'] = (module, filename) => {
+    module.exports = filename.endsWith('.module.css') ? transformCssModule(filename).classes : {};
+  };
+  ASSET_EXTENSIONS.forEach(ext => {
+    require.extensions[ext] = (module, filename) => {
+      module.exports = assetUrl(getMdxConfig(), useAsset(filename));
+    };
+  });
+  styleHooksRegistered = true;
+}
+
+/**
+ * Files matching `rFile` loaded on the server by the given modules and everything they import,
+ * in import order.
+ * @param {Iterable<string>} files - Module paths (the post's component files)
+ * @param {RegExp} rFile - e.g. /\.css$/ for stylesheets, rAssetFile for assets
+ * @returns {string[]} Absolute paths of the matching files
+ */
+function collectImports(files, rFile) {
+  const found = [];
+  const seen = new Set();
+  const visit = mod => {
+    if (!mod || seen.has(mod.id)) return;
+    seen.add(mod.id);
+    if (rFile.test(mod.id)) found.push(mod.id);
+    mod.children.forEach(visit);
+  };
+  Array.from(files).forEach(file => visit(require.cache[file]));
+  return found;
+}
+
+// Write a JSON file the renderer keeps for a post next to its hydration entry, or remove it when empty
+function writePostData(file, data) {
+  if (Object.keys(data).length > 0) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(data, null, 2), 'utf8');
+  } else if (fs.existsSync(file)) {
+    fs.rmSync(file, { force: true });
+  }
+}
+
+/**
+ * Whether a file the post loaded on the server changed since Hexo rendered it. Hexo only renders
+ * posts again when their own source changes, so the post's components are checked here.
+ * @param {Object} post - Hexo post or page
+ * @returns {boolean}
+ */
+function hasChangedDependencies(post) {
+  if (!post.full_source || path.extname(post.full_source) !== '.mdx') return false;
+  let saved;
+  try {
+    saved = JSON.parse(fs.readFileSync(path.join(getEntryDir(), `mdx-deps-${getFileHash(post.full_source)}.json`), 'utf8'));
+  } catch (err) {
+    return false; // Rendered before dependencies were saved, or without local imports
+  }
+  const current = hashFiles(Object.keys(saved));
+  return Object.keys(saved).some(file => current[file] !== saved[file]);
+}
+
+/**
+ * Remove the hydration entries and saved data (assets, dependencies) of MDX files that are no
+ * longer posts or pages, e.g. deleted ones: they would keep their bundles and routes until
+ * `hexo clean`, and fail the bundle build once their components are gone too.
+ */
+function pruneEntryDir() {
+  const entryDir = getEntryDir();
+  let files = [];
+  try {
+    files = fs.readdirSync(entryDir);
+  } catch (e) {
+    return;
+  }
+  // File hashes of the MDX posts and pages Hexo knows, when run by Hexo
+  const posts = hexo && typeof hexo.model === 'function'
+    ? new Set([].concat(...['Post', 'Page'].map(name => hexo.model(name).toArray()))
+      .filter(post => post.full_source && path.extname(post.full_source) === '.mdx')
+      .map(post => getFileHash(post.full_source)))
+    : null;
+  const stale = new Map(); // Map of file hash -> whether its data is stale
+  const isStale = hash => {
+    if (!stale.has(hash)) {
+      const source = readEntrySource(path.join(entryDir, `mdx-entry-${hash}.mjs`));
+      stale.set(hash, (posts !== null && !posts.has(hash)) ||
+        (source !== null && !fs.existsSync(path.resolve(getBaseDir(), source))));
+    }
+    return stale.get(hash);
+  };
+  files.forEach(file => {
+    const hash = (file.match(/^mdx-(?:entry|assets|deps)-([a-f0-9]+)\.(?:mjs|json)$/) || [])[1];
+    if (hash && isStale(hash)) fs.rmSync(path.join(entryDir, file), { force: true });
+  });
+}
+
+/**
+ * Assets imported on the server by posts rendered in an earlier run. Hexo does not render a
+ * post again while its source is unchanged, so its components, and the assets they import,
+ * are not loaded then; the renderer saves each post's assets next to its entry instead.
+ * @returns {Array<[string, string]>} Asset path and file name under the assets dir
+ */
+function readSavedAssets() {
+  const entryDir = getEntryDir();
+  let files = [];
+  try {
+    files = fs.readdirSync(entryDir).filter(f => /^mdx-assets-[a-f0-9]+\.json$/.test(f));
+  } catch (e) {
+    return [];
+  }
+  const assets = [];
+  files.forEach(f => {
+    try {
+      const saved = JSON.parse(fs.readFileSync(path.join(entryDir, f), 'utf8'));
+      Object.keys(saved).forEach(file => assets.push([file, saved[file]]));
+    } catch (e) {
+      // ignore unreadable files; the post is saved again when it is rendered
+    }
+  });
+  return assets;
+}
+
+/**
+ * esbuild plugin for the hydration build: CSS modules get the class names used on the server,
+ * and assets imported from JS or referenced by `url()` in CSS point at the same hashed URLs.
+ * @param {string} assetBaseUrl - Public URL of the assets dir, with a trailing slash
+ * @param {Object<string, string>} assets - Filled with asset path -> file name under the assets dir
+ * @returns {Object} The plugin
+ */
+function createStylePlugin(assetBaseUrl, assets) {
+  const toAsset = file => {
+    const name = useAsset(file);
+    assets[file] = name;
+    return `${assetBaseUrl}${name}`;
+  };
+  return {
+    name: 'hexo-renderer-mdx-styles',
+    setup(build) {
+      build.onLoad({ filter: /\.module\.css$/, namespace: 'file' }, args => ({
+        contents: `import ${JSON.stringify(`mdx-css-module:${args.path}`)};\nexport default ${JSON.stringify(transformCssModule(args.path).classes)};`,
+        loader: 'js'
+      }));
+      build.onResolve({ filter: /^mdx-css-module:/ }, args => ({
+        path: args.path.slice('mdx-css-module:'.length),
+        namespace: 'mdx-css-module'
+      }));
+      build.onLoad({ filter: /.*/, namespace: 'mdx-css-module' }, args => ({
+        contents: transformCssModule(args.path).css,
+        loader: 'css',
+        resolveDir: path.dirname(args.path)
+      }));
+
+      // url() in CSS: local files are copied with a hashed name, anything else (e.g. /images/bg.png) is kept
+      build.onResolve({ filter: rAssetFile }, args => {
+        if (args.kind !== 'url-token') return undefined;
+        const file = path.resolve(args.resolveDir, args.path);
+        return { path: fs.existsSync(file) ? toAsset(file) : args.path, external: true };
+      });
+      build.onLoad({ filter: rAssetFile, namespace: 'file' }, args => ({
+        contents: `export default ${JSON.stringify(toAsset(args.path))};`,
+        loader: 'js'
+      }));
+    }
+  };
+}
+
+/**
+ * Build the hydration bundles (see bundleHydrationEntries). Also runs in the worker pool, so
+ * the options are plain data and the plugin is created here.
+ * @param {Object} options - esbuild options
+ * @param {string} assetBaseUrl - Public URL of the assets dir, with a trailing slash
+ * @returns {Promise<{outputFiles: Array<{path: string, contents: Uint8Array}>, metafile: Object, assets: Object<string, string>}>}
+ */
+async function buildHydrationBundles(options, assetBaseUrl) {
+  const assets = {};
+  const result = await require('esbuild').build({ ...options, plugins: [createStylePlugin(assetBaseUrl, assets)] });
+  return {
+    outputFiles: result.outputFiles.map(file => ({ path: file.path, contents: file.contents })),
+    metafile: result.metafile,
+    assets
+  };
+}
+
+/**
+ * Compile MDX to the body of an async function (see mdxRenderer), with the plugins
+ * from the `mdx:` config. Reads nothing from Hexo but `base_dir` and the config,
+ * so it also runs in compile workers (worker.js).
+ * @param {string} content - MDX source without front matter
+ * @param {Object} options
+ * @param {string} options.filePath - Source path; relative imports are resolved from it
+ * @param {boolean} options.highlight - Hand code blocks to the site's syntax highlighter
+ * @param {boolean} options.production - Compile for the production JSX runtime (see isProduction)
+ * @returns {Promise<string>} The compiled code
+ */
+async function compileMdx(content, { filePath, highlight, production }) {
+  await loadCompile();
+
+  // Remark/rehype/recma plugins configured under `mdx:` in _config.yml
+  const mdxConfig = getMdxConfig();
+  const remarkPlugins = await loadPlugins(mdxConfig, 'remark');
+  const rehypePlugins = await loadPlugins(mdxConfig, 'rehype');
+  if (mdxConfig.parity) {
+    const parity = await loadParityPlugins();
+    remarkPlugins.unshift(...parity.remark);
+    rehypePlugins.unshift(...parity.rehype);
+  }
+  const math = getMathOptions(mdxConfig);
+  if (math) {
+    remarkPlugins.push(...await loadMathPlugins(math.katexOptions));
+  }
+  // Highlight last, so user plugins (e.g. diagrams) still see the original code blocks
+  if (highlight) remarkPlugins.push(remarkCodeBlocks);
+
+  // Compile MDX to JavaScript with automatic JSX runtime
+  // outputFormat: 'function-body' takes the JSX runtime as an argument instead of importing it
+  const compiled = await compile(content, {
+    outputFormat: 'function-body',
+    development: !production,
+    baseUrl: pathToFileURL(filePath),
+    remarkPlugins,
+    rehypePlugins,
+    recmaPlugins: await loadPlugins(mdxConfig, 'recma'),
+    // remarkRehypeOptions for markdown processing
+    remarkRehypeOptions: {
+      allowDangerousHtml: true
+    }
+  });
+  return String(compiled);
+}
+
+/**
+ * Whether to compile and bundle for production: `mdx.mode` when it is set, otherwise
+ * development for `hexo server` and production for everything else (`hexo generate`).
+ * @param {Object} config - The merged MDX configuration
+ * @returns {boolean}
+ */
+function isProduction(config) {
+  if (config.mode === 'production') return true;
+  if (config.mode === 'development') return false;
+  return !isServerCommand();
+}
+
+// Whether Hexo runs `hexo server`, also when started through an alias such as `hexo s`
+function isServerCommand() {
+  const cmd = hexo && hexo.env ? hexo.env.cmd : '';
+  const alias = hexo && hexo.extend && hexo.extend.console && hexo.extend.console.alias;
+  return ((alias && alias[cmd]) || cmd) === 'server';
+}
+
+let workerPool; // undefined until first used, null when `mdx.workers` is off
+
+/**
+ * Size of the compile worker pool from `mdx.workers`: `true` sizes it from the
+ * number of CPUs (leaving one for Hexo), a number sets it, anything else turns it off.
+ * @param {Object} config - The merged MDX configuration
+ * @returns {number}
+ */
+function getWorkerCount(config) {
+  if (config.workers === true) return Math.max(1, os.cpus().length - 1);
+  const count = parseInt(config.workers, 10);
+  return count > 0 ? count : 0;
+}
+
+/**
+ * Start a pool of worker_threads (worker.js) that run compile and bundle tasks.
+ * Tasks wait in a queue and each worker takes one at a time. Every task settles its
+ * own promise, so callers get their own results whichever worker finishes first.
+ * Idle workers are unref'd so they never keep Hexo from exiting.
+ * @param {number} size - Number of workers
+ * @returns {{run: function(Object): Promise<*>}}
+ */
+function createWorkerPool(size) {
+  const baseDir = getBaseDir();
+  const queue = [];
+  const slots = [];
+
+  const dispatch = () => {
+    slots.forEach(slot => {
+      if (slot.task || queue.length === 0) return;
+      slot.task = queue.shift();
+      slot.worker.ref();
+      slot.worker.postMessage(slot.task.message);
+    });
+  };
+
+  const spawn = () => {
+    const slot = { worker: new Worker(path.join(__dirname, 'worker.js'), { workerData: { baseDir } }), task: null, error: null };
+    slot.worker.unref();
+    slot.worker.on('message', ({ result, error }) => {
+      const task = slot.task;
+      slot.task = null;
+      slot.worker.unref();
+      if (error) {
+        task.reject(Object.assign(new Error(error.message), error));
+      } else {
+        task.resolve(result);
+      }
+      dispatch();
+    });
+    slot.worker.on('error', err => {
+      slot.error = err;
+    });
+    slot.worker.on('exit', code => {
+      // A worker that dies is not replaced; when none are left, queued tasks fail over to the main thread
+      slots.splice(slots.indexOf(slot), 1);
+      const err = slot.error || new Error(`MDX worker exited with code ${code}`);
+      if (slot.task) slot.task.reject(err);
+      if (slots.length === 0) queue.splice(0).forEach(task => task.reject(err));
+    });
+    return slot;
+  };
+
+  for (let i = 0; i < size; i++) {
+    slots.push(spawn());
+  }
+  return {
+    run(message) {
+      if (slots.length === 0) return Promise.reject(new Error('No MDX workers left'));
+      return new Promise((resolve, reject) => {
+        queue.push({ message, resolve, reject });
+        dispatch();
+      });
+    }
+  };
+}
+
+/**
+ * The shared worker pool, started on first use when `mdx.workers` is set.
+ * @returns {Object|null} The pool, or null when compiling in Hexo's process
+ */
+function getWorkerPool() {
+  if (workerPool === undefined) {
+    workerPool = null;
+    const size = getWorkerCount(getMdxConfig());
+    if (size > 0) {
+      try {
+        workerPool = createWorkerPool(size);
+      } catch (err) {
+        console.warn(`WARN  Cannot start MDX workers, compiling in Hexo's process: ${err.message}`);
+      }
+    }
+  }
+  return workerPool;
+}
+
+/**
+ * Compile MDX in the worker pool when there is one, otherwise (or when the worker
+ * fails, e.g. on a plugin that only loads in Hexo's process) in this process.
+ * @param {string} content - MDX source without front matter
+ * @param {Object} options - See compileMdx
+ * @returns {Promise<string>} The compiled code
+ */
+async function compileWithWorkers(content, options) {
+  const pool = getWorkerPool();
+  let workerError = null;
+  if (pool) {
+    try {
+      // Workers only get the parts of the config compiling reads
+      const config = { mdx: getMdxConfig(), marked: hexo.config.marked };
+      return await pool.run({ type: 'compile', content, options, config });
+    } catch (err) {
+      workerError = err;
+    }
+  }
+  // A real MDX error is thrown again here, with the same message
+  const code = await compileMdx(content, options);
+  if (workerError) {
+    console.warn(`WARN  ${options.filePath} was compiled in Hexo's process, not in a worker: ${workerError.message}`);
+  }
+  return code;
+}
+
+/**
+ * MDX Renderer for Hexo
+ *
+ * This renderer allows you to use MDX files in your Hexo blog.
+ * MDX is markdown with JSX support, allowing you to embed React components.
+ */
+
+/**
+ * Render MDX content to HTML
+ * @param {Object} data - The data object containing MDX content
+ * @param {string} data.text - The MDX content to render
+ * @param {string} data.path - The file path (for error reporting)
+ * @returns {Promise<string>} The rendered HTML
+ */
+async function mdxRenderer(data) {
+  const { text, path: filePath } = data;
+  
+  // Initialize dependencies Set for tracking imported component files
+  if (!data.dependencies) {
+    data.dependencies = new Set();
+  }
+
+  // The file as written and the lines of front matter above the MDX body, so positions
+  // reported by the compiler can point into the file
+  let source = null;
+  let lineOffset = 0;
+  renderErrors.delete(filePath);
+  try {
+    // Ensure Babel can handle JSX/TS imports from MDX files (e.g., local components).
+    ensureBabelRegister(filePath);
+    ensureStyleHooks();
+
+    // Stable per-file hash to namespace hydration ids and bundles
+    const fileHash = getFileHash(filePath);
+    if (isServerCommand()) liveReloadChanges.add(fileHash);
+    
+    // Read the original file directly to bypass Hexo's template processing
+    let content;
+    let frontmatter = {};
+    try {
+      content = source = fs.readFileSync(filePath, 'utf8');
+      // Parse and strip the front matter the same way Hexo does
+      const { _content: body, ...parsed } = frontMatter.parse(content);
+      if (body && content.endsWith(body)) {
+        lineOffset = content.slice(0, content.length - body.length).split('\n').length - 1;
+      }
+      content = body;
+      frontmatter = parsed;
+    } catch (err) {
+      // If reading fails, fall back to the provided text (Hexo already stripped its front matter)
+      content = text;
+    }
+
+    // Raw HTML (from Hexo helpers and tag plugins) is rendered as a placeholder element and
+    // spliced in afterwards; `html` may be a promise, e.g. the output of an async tag plugin
+    const runtime = getRuntime();
+    const { createElement } = runtime;
+    const rawBlocks = [];
+    const RawHtml = ({ html }) => createElement('mdx-raw', {
+      'data-index': rawBlocks.push(Promise.resolve(html).then(String)) - 1
+    });
+
+    // Hexo page/site/config made available to MDX as props and as free variables
+    const scope = {
+      frontmatter,
+      page: pageContexts.get(filePath) || { ...frontmatter },
+      site: (hexo && hexo.locals && typeof hexo.locals.toObject === 'function') ? hexo.locals.toObject() : {},
+      config: (hexo && hexo.config) || {}
+    };
+    Object.assign(scope, createHelpers(scope, RawHtml));
+    const Tag = createTagComponent(scope.page, filePath, RawHtml);
+    
+    const mdxConfig = getMdxConfig();
+    const math = getMathOptions(mdxConfig);
+    // Highlighting runs while rendering; compileMdx only needs to know whether it applies
+    const highlight = mdxConfig.highlight !== false && isHighlightEnabled();
+    const production = isProduction(mdxConfig);
+
+    // Unchanged posts reuse the compiled code from .hexo-mdx-cache
+    const cacheKey = mdxConfig.cache !== false ? getCompileCacheKey(filePath, content, mdxConfig) : null;
+    let code = cacheKey ? readCompileCache(cacheKey) : null;
+    if (code === null) {
+      code = await compileWithWorkers(content, { filePath, highlight, production });
+      if (cacheKey) writeCompileCache(cacheKey, code);
+    }
+
+    // Development builds call jsxDEV (with source file and line) from <runtime>/jsx-dev-runtime
+    const jsxRuntime = require(`${runtime.jsxImportSource}/${production ? 'jsx-runtime' : 'jsx-dev-runtime'}`);
+    
+    // Replace dynamic imports with a shim that resolves relative to the MDX file and uses require to stay in CJS.
+    const toModuleNamespace = (mod) => {
+      // If it already looks like an ES module with a default export, return as-is
+      if (mod && typeof mod === 'object' && 'default' in mod) return mod;
+      // For CJS modules, wrap as ES module: spread first, then set default to ensure it's not overwritten
+      if (mod && typeof mod === 'object') {
+        return { ...mod, default: mod };
+      }
+      // For primitive or function values, just set as default
+      return { default: mod };
+    };
+    // Collect components used so we can hydrate them client-side
+    const componentsForHydration = [];
+
+    // Wrap a component so the hydration root surrounds its server-rendered markup.
+    // `exportPath` locates the component in the module at `spec` for the hydration entry.
+    const createIsland = (Component, spec, exportPath, fallbackName) => {
+      const island = { id: `mdx-cmp-${fileHash}-${componentsForHydration.length + 1}`, spec, exportPath, hydrated: false };
+      const componentName = Component.displayName || Component.name || fallbackName;
+
+      // Unless mdx.on_error is fail, the component is rendered to HTML on its own, once, and that
+      // HTML is put in the post, so that if it throws, mdx.error_fallback replaces it instead of
+      // the whole post failing. Rendered apart from the post, it does not see context provided
+      // by the components around it.
+      const renderGuarded = (componentProps) => {
+        if (mdxConfig.on_error === 'fail') {
+          return { element: createElement(Component, componentProps), failed: false };
+        }
+        try {
+          const html = runtime.renderToString(createElement(Component, componentProps));
+          return { element: createElement(RawHtml, { html }), failed: false };
+        } catch (err) {
+          const message = `${filePath}: <${componentName}> failed to render: ${err.message}`;
+          recordRenderError(filePath, message);
+          if (mdxConfig.on_error === 'warn') console.warn(`WARN  ${message}`);
+          return { element: createElement(RawHtml, { html: mdxConfig.error_fallback }), failed: true };
+        }
+      };
+
+      const Island = (props) => {
+        const { directive, props: componentProps } = extractHydrationDirective(props);
+
+        // No directive: plain static HTML, the component never ships to the browser
+        if (directive === 'static') {
+          return renderGuarded(componentProps).element;
+        }
+        island.hydrated = true;
+
+        // Render from the serialized props so server markup matches what the client hydrates
+        const { props: serialized, dropped } = serializeProps(componentProps);
+        if (dropped.length > 0) {
+          console.warn(
+            `WARN  ${filePath}: <${componentName}> prop(s) ${dropped.join(', ')} cannot be serialized for hydration and will be missing in the browser`
+          );
+        }
+        const serverProps = reviveProps(serialized);
+        const rendered = directive === 'only' ? null : renderGuarded(serverProps);
+        return createElement('div', {
+          'data-mdx-component': island.id,
+          'data-mdx-hydrate': directive,
+          'data-mdx-props': Object.keys(serialized).length > 0 ? JSON.stringify(serialized) : undefined,
+          // The browser renders over the fallback instead of hydrating it
+          'data-mdx-fallback': rendered && rendered.failed ? '' : undefined
+        }, rendered && rendered.element);
+      };
+      Island.displayName = `Island(${componentName})`;
+
+      // Record mapping for hydration bundle; only islands rendered with a client directive are bundled
+      componentsForHydration.push(island);
+      return Island;
+    };
+
+    // Globally provided components (config, source/_mdx, theme), available without an import
+    const components = {};
+    loadGlobalComponents().forEach(({ name, component, file, exportPath }) => {
+      if (data.dependencies) data.dependencies.add(file);
+      const hydratable = /^[A-Z]/.test(name) && !file.includes('node_modules') && isComponentExport(component);
+      components[name] = hydratable ? createIsland(component, file, exportPath, name) : component;
+    });
+    const req = createRequire(filePath);
+    const dynamicImport = async (specifier) => {
+      const asString = String(specifier);
+      // MDX imports are aliased like the components' own imports (see moduleAliasPlugin)
+      const request = asString.startsWith('file://') ? asString : resolveModuleAlias(asString, filePath, runtime.alias);
+
+      // Resolve a filesystem path for file URLs and relative/absolute paths; bare specifiers stay packages
+      let fsPath;
+      try {
+        if (request.startsWith('file://')) {
+          fsPath = fileURLToPath(request);
+        } else if (request.startsWith('.') || path.isAbsolute(request)) {
+          fsPath = path.resolve(path.dirname(filePath), request);
+        }
+        if (fsPath) {
+          // Pick up the real file (e.g. `./Chart` -> `./Chart.jsx`)
+          fsPath = req.resolve(fsPath);
+        }
+      } catch (e) {
+        // ignore - require below reports the missing module
+      }
+
+      // Load the module for server-side rendering (JSX/TS is handled by the Babel register)
+      let mod;
+      try {
+        mod = toModuleNamespace(requireWithRuntimeAlias(() => req(fsPath || request)));
+      } catch (err) {
+        if (err.code !== 'ERR_REQUIRE_ESM') {
+          throw new Error(`Cannot load "${asString}" imported in ${filePath}: ${err.message}`);
+        }
+        mod = await importModule(fsPath ? pathToFileURL(fsPath).href : request);
+      }
+
+      // Register component file as a dependency so Hexo watches it for changes
+      if (fsPath && data.dependencies) {
+        data.dependencies.add(fsPath);
+      }
+
+      // Only local components are hydrated; packages and helper modules render server-side only
+      const Component = mod.default;
+      if (!fsPath || fsPath.includes('node_modules') || !isComponentExport(Component)) {
+        return mod;
       }
 
-      // Return an ES-like namespace with default export set to placeholder
-      return Promise.resolve({ default: Placeholder });
+      // Return an ES-like namespace with the default export swapped for the island wrapper
+      return { ...mod, default: createIsland(Component, fsPath, ['default'], asString) };
     };
 
     // Swap all occurrences of 'import(' (awaited or not) with our shim to avoid vm dynamic import callbacks.
     const patchedCode = code.replace(/import\(/g, 'dynamicImport(');
-    const fn = new Function('jsxRuntime', 'dynamicImport', `return (async () => { ${patchedCode} })();`);
-    const mdxModule = await fn(jsxDevRuntime, dynamicImport);
+    // Scope names are parameters, so `{frontmatter.title}` or `{page.date}` resolve without an import
+    const scopeNames = Object.keys(scope);
+    const fn = new Function('jsxRuntime', 'dynamicImport', ...scopeNames, `return (async () => { ${patchedCode} })();`);
+    const mdxModule = await fn(jsxRuntime, dynamicImport, ...scopeNames.map(name => scope[name]));
     
     // The result has a default export which is the MDX component
     const MDXContent = mdxModule.default;
     
     // Render the component to static HTML
-    const html = renderToString(
-      React.createElement(MDXContent, {})
+    // Capitalized JSX references such as <Helpers.ImageTag /> are looked up in `components`
+    // (HexoRawHtml and HexoCodeBlock are emitted by the renderer's own remark plugins)
+    const mdxComponents = {
+      ...components,
+      Helpers: scope.Helpers,
+      Tag,
+      HexoRawHtml: RawHtml,
+      HexoCodeBlock: createCodeBlockComponent(RawHtml)
+    };
+    const rendered = runtime.renderToString(
+      createElement(MDXContent, { ...scope, components: mdxComponents })
     );
 
-    // If there are components to hydrate, generate a client bundle using esbuild (if available)
+    // Wait for async tag plugins before splicing raw HTML into the page
+    let html = injectRawHtml(rendered, await Promise.all(rawBlocks));
+    if (math && math.stylesheet && html.includes('class="katex"')) {
+      // Duplicates (e.g. several posts on an index page) are removed in the after_render:html filter
+      html = `<link rel="stylesheet" href="${math.stylesheet}" ${KATEX_STYLESHEET_ATTR}>${html}`;
+    }
+
+    // CSS imported by the post's components, also by static ones, is bundled with the post
+    const stylesheets = collectImports(data.dependencies, /\.css$/);
+    stylesheets.forEach(file => data.dependencies.add(file));
+
+    // Assets imported by the post's components on the server, kept for later runs (see readSavedAssets)
+    const assets = {};
+    collectImports(data.dependencies, rAssetFile).forEach(file => {
+      if (usedAssets.has(file)) assets[file] = usedAssets.get(file);
+    });
+    writePostData(path.join(getEntryDir(), `mdx-assets-${fileHash}.json`), assets);
+
+    // Hash of every local file the post loaded (components, their imports, CSS), so a later
+    // generation renders the post again when one of them changed (see hasChangedDependencies)
+    const localFiles = new Set(Array.from(data.dependencies).concat(collectImports(data.dependencies, /(?:)/)));
+    writePostData(path.join(getEntryDir(), `mdx-deps-${fileHash}.json`),
+      hashFiles(Array.from(localFiles).filter(file => !file.includes('node_modules'))));
+
+    // If there are components to hydrate or stylesheets, write an entry for the mdx_hydration generator
     let finalHtml = html;
-    if (componentsForHydration.length > 0) {
+    const islands = componentsForHydration.filter(c => c.hydrated);
+    const entryPath = path.join(getEntryDir(), `mdx-entry-${fileHash}.mjs`);
+    if (islands.length > 0 || stylesheets.length > 0) {
       try {
-        const esbuild = require('esbuild');
-        const os = require('os');
-        const tmpdir = os.tmpdir();
-        const hash = fileHash;
-        const outName = `mdx-hydrate-${hash}.js`;
-        // Output compiled hydration bundle and temporary entry into the site's public directory
-        const projectRoot = hexo && hexo.base_dir ? hexo.base_dir : process.cwd();
-        const publicDir = (hexo && hexo.public_dir) ? hexo.public_dir : require('path').join(projectRoot, 'public');
-        const outDir = require('path').join(publicDir, 'assets');
-        const entryPath = require('path').join(publicDir, '.hexo-mdx-entry', `mdx-entry-${hash}.mjs`);
-
-        const imports = componentsForHydration.map((c, i) => {
-          // Convert absolute path to relative path from entry directory
-          let importPath = c.spec;
-          if (require('path').isAbsolute(importPath)) {
-            importPath = require('path').relative(require('path').dirname(entryPath), importPath);
-          }
-          // Normalize slashes for JS import
-          importPath = importPath.replace(/\\/g, '/');
-          // Ensure relative imports start with ./ or ../
-          if (!importPath.startsWith('.')) {
-            importPath = './' + importPath;
-          }
-          return `import C${i} from ${JSON.stringify(importPath)};`;
-        }).join('\n');
-
-        const mapping = componentsForHydration.map((c, i) => `  '${c.id}': C${i}`).join(',\n');
-
-        const entrySource = `import React from 'react';\nimport { hydrateRoot } from 'react-dom/client';\n\n// Make React available globally for imported components\nwindow.React = React;\n\n${imports}\n\nconst mapping = {\n${mapping}\n};\n\nObject.keys(mapping).forEach(id => {\n  const Comp = mapping[id];\n  const el = document.querySelector('[data-mdx-component="'+id+'"]');\n  if (el) {\n    hydrateRoot(el, React.createElement(Comp, {}));\n  }\n});\n`;
-
-        require('fs').mkdirSync(require('path').dirname(entryPath), { recursive: true });
-        require('fs').writeFileSync(entryPath, entrySource, 'utf8');
-        require('fs').mkdirSync(outDir, { recursive: true });
-
-        esbuild.buildSync({
-          entryPoints: [entryPath],
-          bundle: true,
-          format: 'esm',
-          outfile: require('path').join(outDir, outName),
-          platform: 'browser',
-          jsx: 'transform',
-          jsxFactory: 'React.createElement',
-          jsxFragment: 'React.Fragment',
-          minify: false,
-          absWorkingDir: process.cwd(),
-          loader: { '.jsx': 'jsx', '.js': 'js', '.mjs': 'js' }
-        });
+        const projectRoot = getBaseDir();
+        fs.mkdirSync(path.dirname(entryPath), { recursive: true });
+        fs.writeFileSync(entryPath, buildHydrationEntrySource(islands, entryPath, {
+          stylesheets,
+          runtimeClient: islands.length > 0 ? getRuntimeClient(runtime) : null,
+          errorFallback: mdxConfig.error_fallback,
+          source: path.relative(projectRoot, filePath).split(path.sep).join('/')
+        }), 'utf8');
 
-        // Hydration bundle is placed under /assets in the public dir
-        finalHtml = `<div id="mdx-root-${hash}">${html}</div><script type="module" src="/assets/${outName}"></script>`;
+        // The bundle and its extracted CSS are built and routed under the assets dir by the
+        // mdx_hydration generator. Their file names carry a content hash that is only known after
+        // bundling, so the URLs are swapped for the hashed ones in the after_render:html filter.
+        if (islands.length > 0) {
+          const scriptUrl = assetUrl(mdxConfig, `mdx-hydrate-${fileHash}.js`);
+          const scriptAttrs = getBundleConfig(mdxConfig).format === 'esm' ? 'type="module" ' : '';
+          const script = `<script ${scriptAttrs}src="${scriptUrl}" defer data-mdx-entry="${fileHash}"></script>`;
+          // Hexo cuts the excerpt at `<!-- more -->`; a wrapper around it would leave the excerpt unclosed
+          finalHtml = /<!-- ?more ?-->/i.test(html)
+            ? `${html}${script}`
+            : `<div id="mdx-root-${fileHash}">${html}</div>${script}`;
+        }
+        if (stylesheets.length > 0) {
+          const cssUrl = assetUrl(mdxConfig, `mdx-hydrate-${fileHash}.css`);
+          finalHtml = `<link rel="stylesheet" href="${cssUrl}" data-mdx-css="${fileHash}">${finalHtml}`;
+        }
       } catch (err) {
-        console.error('MDX hydration bundle failed:', err.message);
+        console.error('MDX hydration entry failed:', err.message);
       }
+    } else if (fs.existsSync(entryPath)) {
+      // The post no longer hydrates or styles anything; drop its stale entry
+      fs.rmSync(entryPath, { force: true });
     }
     
     return finalHtml;
   } catch (err) {
-    // Provide more detailed error information
-    const errorMsg = `MDX compilation failed for ${filePath}: ${err.message}`;
-    console.error(errorMsg);
-    console.error('Full error stack:');
-    console.error(err.stack);
-    if (err.position) {
-      console.error(`Error at line ${err.position.start.line}, column ${err.position.start.column}`);
+    // Point at the error in the .mdx file, with a code frame when the error has a position
+    const position = getErrorPosition(err, lineOffset);
+    const location = position ? `${filePath}:${position.line}:${position.column}` : filePath;
+    const frame = position && source ? codeFrameColumns(source, { start: position }, { linesAbove: 2, linesBelow: 2 }) : '';
+    const errorMsg = `MDX compilation failed for ${location}: ${err.message}`;
+    const { on_error: onError, error_fallback: errorFallback } = getMdxConfig();
+    recordRenderError(filePath, errorMsg);
+    if (onError !== 'fallback' || isServerCommand()) {
+      console.error(errorMsg);
+      if (frame) {
+        console.error(`\n${frame}\n`);
+      } else {
+        console.error('Full error stack:');
+        console.error(err.stack);
+      }
+    }
+
+    // `hexo server` keeps serving the site: the post shows the error until its file is fixed
+    if (isServerCommand()) {
+      return renderErrorOverlay(errorMsg, frame);
+    }
+    if (onError === 'fail') {
+      throw Object.assign(new Error(errorMsg), { position, frame });
     }
-    throw new Error(errorMsg);
+    // warn and fallback: the post shows mdx.error_fallback and is listed when Hexo exits
+    return errorFallback;
   }
 }
 
+/**
+ * Position of a compile error in the .mdx file, or null when the error has none
+ * (e.g. an exception thrown by a component).
+ * @param {Error} err - A VFileMessage from the MDX compiler, or an error with a `position`
+ * @param {number} lineOffset - Lines of front matter above the MDX body
+ * @returns {{line: number, column: number}|null} 1-based line and column
+ */
+function getErrorPosition(err, lineOffset) {
+  const place = err && (err.place || err.position);
+  const start = place && (place.start || place);
+  if (!start || !start.line) return null;
+  return { line: start.line + lineOffset, column: start.column || 1 };
+}
+
+// Start of the error page in a post's content (see clearPostContent)
+const rErrorOverlay = /<div data-mdx-error="[a-f0-9]{12}"/;
+
+/**
+ * Error page shown in place of a post that fails to render during `hexo server`.
+ * It polls the page and reloads once the error is gone or has changed.
+ * @param {string} message - The error message, with the file location
+ * @param {string} frame - Code frame of the source, or an empty string
+ * @returns {string} HTML
+ */
+function renderErrorOverlay(message, frame) {
+  const marker = `data-mdx-error="${hashOf(message, frame).slice(0, 12)}"`;
+  const pre = 'margin:0 0 1.5em;white-space:pre-wrap;word-break:break-word';
+  return `<div ${marker} style="position:fixed;inset:0;z-index:2147483647;overflow:auto;padding:2em;background:rgba(24,24,27,.97);color:#f4f4f5;font:14px/1.5 ui-monospace,SFMono-Regular,Menlo,Consolas,monospace;text-align:left">` +
+    `<pre style="${pre};color:#f87171;font-weight:bold">${escapeHTML(message)}</pre>` +
+    (frame ? `<pre style="${pre};padding:1em;background:#27272a;border-radius:4px">${escapeHTML(frame)}</pre>` : '') +
+    '<p style="margin:0;color:#a1a1aa">Fix the file and save it; this page reloads when the post renders again.</p>' +
+    `<script>(function poll() {
+  setTimeout(function() {
+    fetch(location.href, { cache: 'no-store' }).then(function(res) { return res.text(); }).then(function(html) {
+      if (html.indexOf(${JSON.stringify(marker)}) === -1) location.reload(); else poll();
+    }, poll);
+  }, 1000);
+})();</script></div>`;
+}
+
+/**
+ * Stable per-file hash that namespaces a post's hydration ids, entry and bundles.
+ * @param {string} filePath - Source path of the post, as Hexo passes it to the renderer
+ * @returns {string}
+ */
+function getFileHash(filePath) {
+  return crypto.createHash('md5').update(filePath).digest('hex').slice(0, 8);
+}
+
+/**
+ * Live reload client for a page shown by `hexo server`. It listens on the live reload endpoint
+ * and reloads the page when a generation re-rendered or re-bundled one of the posts it shows.
+ * @param {string[]} fileHashes - Hashes of the source paths of the MDX posts on the page
+ * @returns {string} HTML
+ */
+function liveReloadScript(fileHashes) {
+  return `<script data-mdx-live-reload>(function() {
+  var posts = ${JSON.stringify(fileHashes)};
+  if (typeof EventSource === 'undefined') return;
+  new EventSource(${JSON.stringify(getLiveReloadPath())}).addEventListener('reload', function(event) {
+    var changed = JSON.parse(event.data);
+    for (var i = 0; i < posts.length; i++) {
+      if (changed.indexOf(posts[i]) !== -1) return location.reload();
+    }
+  });
+})();</script>`;
+}
+
+/**
+ * Add the live reload client to a page rendered by `hexo server` that shows MDX posts: a post,
+ * or an index, archive or tag page listing them. Added to the page rather than to the post
+ * content, which Hexo caches in db.json and a later `hexo generate` would publish.
+ * @param {string} str - The page, rendered with its layout
+ * @param {Object} [locals] - The route's locals; `page` is the post or the index page
+ * @returns {string}
+ */
+function injectLiveReload(str, locals) {
+  const page = locals && locals.page;
+  if (!page) return str;
+  const posts = page.posts
+    ? (typeof page.posts.toArray === 'function' ? page.posts.toArray() : Array.from(page.posts))
+    : [page];
+  const fileHashes = posts
+    .filter(post => post && post.full_source && path.extname(post.full_source) === '.mdx')
+    .map(post => getFileHash(post.full_source));
+  if (fileHashes.length === 0) return str;
+  const script = liveReloadScript(fileHashes);
+  return str.includes('</body>') ? str.replace('</body>', () => `${script}</body>`) : `${str}${script}`;
+}
+
+// Server-sent events endpoint of the live reload client, under the site root
+function getLiveReloadPath() {
+  const root = (hexo && hexo.config && hexo.config.root) || '/';
+  return `${root.replace(/\/*$/, '/')}__mdx_live_reload`;
+}
+
 /**
  * Register the MDX renderer with Hexo
  * Note: Using disableNunjucks: true to prevent template processing of {{ }} syntax
  */
-const path = require('path');
 const chokidar = require('chokidar');
 const componentDependencies = new Map(); // Map of component path -> Set of MDX files that import it
+const bundledEntries = new Map(); // Map of entry hash -> { entry, css } content-hashed bundle route paths
+const pageContexts = new Map(); // Map of MDX source path -> Hexo post/page data being rendered
+const renderErrors = new Map(); // Map of MDX source path (or BUNDLE_ERROR_KEY) -> error messages of its last render
+const BUNDLE_ERROR_KEY = 'hydration bundles';
+let bundleFailed = false; // The last hydration bundle build failed and shipped nothing
+const liveReloadChanges = new Set(); // Hashes of the posts re-rendered or re-bundled by the current generation (hexo server)
+const liveReloadClients = new Set(); // Open responses of the live reload endpoint
 
-// Bundle the entry file with esbuild to create the hydration client bundle
-function bundleEntryToPublic() {
-  try {
-    const esbuild = require('esbuild');
-    const crypto = require('crypto');
-    const projectRoot = hexo && hexo.base_dir ? hexo.base_dir : process.cwd();
-    const publicDir = (hexo && hexo.public_dir) ? hexo.public_dir : path.join(projectRoot, 'public');
-    
-    // Clear require cache for components before bundling to ensure fresh imports
-    Object.keys(require.cache).forEach(key => {
-      if (key.includes('source/components') || key.includes('source\\components')) {
-        delete require.cache[key];
-      }
-    });
-    
-    // Find all entry files in public/.hexo-mdx-entry and bundle each one
-    const entryDir = path.join(publicDir, '.hexo-mdx-entry');
-    if (!fs.existsSync(entryDir)) {
-      return; // No entry generated, skip bundling
+/**
+ * Remember an error for the summary printed when Hexo exits (see reportRenderErrors).
+ * @param {string} key - MDX source path, or BUNDLE_ERROR_KEY
+ * @param {string} message - The error message, naming the file
+ */
+function recordRenderError(key, message) {
+  if (!renderErrors.has(key)) renderErrors.set(key, []);
+  renderErrors.get(key).push(message);
+}
+
+/**
+ * Print the errors of the build, if any. With `mdx.on_error: fail` the process exits
+ * non-zero, so CI catches broken posts.
+ */
+function reportRenderErrors() {
+  if (renderErrors.size === 0) return;
+  const fail = getMdxConfig().on_error === 'fail';
+  const messages = [].concat(...renderErrors.values());
+  const summary = `${messages.length} MDX error(s) in ${renderErrors.size} file(s):\n${messages.map(m => `  - ${m}`).join('\n')}`;
+  if (fail) {
+    console.error(`ERROR ${summary}`);
+    process.exitCode = 1;
+  } else {
+    console.warn(`WARN  ${summary}`);
+  }
+}
+
+// Scratch directory for generated hydration entries; kept out of the public dir so it never ships
+function getEntryDir() {
+  const projectRoot = getBaseDir();
+  return path.join(projectRoot, '.hexo-mdx-entry');
+}
+
+/**
+ * Default values for `mdx.bundle`, the esbuild settings of the hydration bundles
+ */
+const DEFAULT_BUNDLE_CONFIG = {
+  format: 'esm',
+  target: null,
+  browserslist: null,
+  define: {},
+  external: [],
+  alias: {}
+};
+
+const BUNDLE_FORMATS = ['esm', 'iife'];
+
+function getBundleConfig(config) {
+  return Object.assign({}, DEFAULT_BUNDLE_CONFIG, config.bundle || {});
+}
+
+// browserslist names of the browsers esbuild can target
+const ESBUILD_ENGINES = {
+  chrome: 'chrome',
+  and_chr: 'chrome',
+  edge: 'edge',
+  firefox: 'firefox',
+  and_ff: 'firefox',
+  safari: 'safari',
+  ios_saf: 'ios',
+  opera: 'opera',
+  ie: 'ie'
+};
+
+/**
+ * Turn a browserslist query into esbuild targets: the oldest matching version of
+ * every browser esbuild knows. Other browsers (e.g. Samsung Internet) are skipped.
+ * @param {string|string[]|boolean} query - A query, or `true` for the project's
+ *   own browserslist config (`.browserslistrc` or `browserslist` in package.json)
+ * @returns {string[]} esbuild targets, e.g. `['chrome109', 'safari15.6']`
+ */
+function browserslistToTargets(query) {
+  const browserslist = require('browserslist');
+  const baseDir = getBaseDir();
+  const toNumbers = version => version.split('.').map(Number);
+  const isOlder = (a, b) => {
+    const [x, y] = [toNumbers(a), toNumbers(b)];
+    for (let i = 0; i < Math.max(x.length, y.length); i++) {
+      if ((x[i] || 0) !== (y[i] || 0)) return (x[i] || 0) < (y[i] || 0);
     }
-    
-    // Get all entry files
-    let entryFiles = [];
+    return false;
+  };
+
+  const oldest = {};
+  browserslist(query === true ? undefined : query, { path: baseDir }).forEach(entry => {
+    const [name, versions] = entry.split(' ');
+    const engine = ESBUILD_ENGINES[name];
+    // Ranges such as `ios_saf 15.2-15.3` start at their first version
+    const version = versions.split('-')[0];
+    if (!engine || !/^\d+(\.\d+)*$/.test(version)) return;
+    if (!oldest[engine] || isOlder(version, oldest[engine])) oldest[engine] = version;
+  });
+  return Object.keys(oldest).map(engine => `${engine}${oldest[engine]}`);
+}
+
+/**
+ * esbuild options from `mdx.bundle` and the build mode, shared by every hydration build
+ * (in Hexo's process and in workers).
+ * @param {Object} config - The merged MDX configuration
+ * @returns {Object} esbuild options
+ */
+function getBundleOptions(config) {
+  const bundle = getBundleConfig(config);
+  const production = isProduction(config);
+  const baseDir = getBaseDir();
+
+  // esbuild defines are JS expressions; YAML numbers and booleans are turned into them
+  const define = { 'process.env.NODE_ENV': JSON.stringify(production ? 'production' : 'development') };
+  Object.keys(bundle.define).forEach(name => {
+    const value = bundle.define[name];
+    define[name] = typeof value === 'string' ? value : JSON.stringify(value);
+  });
+
+  // Relative alias targets are relative to the Hexo project; the runtime's aliases can be overridden
+  const runtime = getRuntime(config);
+  const alias = { ...runtime.alias };
+  Object.keys(bundle.alias).forEach(name => {
+    const target = String(bundle.alias[name]);
+    alias[name] = target.startsWith('.') ? path.resolve(baseDir, target) : target;
+  });
+
+  let target = bundle.target || 'es2017';
+  if (!bundle.target && bundle.browserslist) {
+    target = browserslistToTargets(bundle.browserslist);
+  }
+
+  return {
+    format: bundle.format,
+    // Shared chunks are loaded with `import`, so code splitting needs ES modules
+    splitting: bundle.format === 'esm',
+    target,
+    // Production: minified, with React's development-only code removed; development: source maps
+    minify: production,
+    sourcemap: production ? false : 'linked',
+    define,
+    external: bundle.external,
+    alias,
+    jsxImportSource: runtime.jsxImportSource
+  };
+}
+
+function getCacheDir() {
+  const projectRoot = getBaseDir();
+  return path.join(projectRoot, '.hexo-mdx-cache');
+}
+
+const hashOf = (...parts) => {
+  const hash = crypto.createHash('sha256');
+  parts.forEach(part => hash.update(typeof part === 'string' || Buffer.isBuffer(part) ? part : JSON.stringify(part)));
+  return hash.digest('hex');
+};
+
+// Package version plus this file, so upgrading (or editing) the renderer invalidates the cache
+const RENDERER_VERSION = hashOf(require('./package.json').version, fs.readFileSync(__filename));
+
+/**
+ * Cache key of a post's compiled code: the renderer version, the MDX source and
+ * everything that changes the compile output (plugins and their files, the mdx
+ * config, the site's syntax highlighter and anchor settings).
+ * @param {string} filePath - Source path (imports are compiled to absolute URLs)
+ * @param {string} content - MDX body without front matter
+ * @param {Object} mdxConfig - The merged MDX configuration
+ * @returns {string}
+ */
+function getCompileCacheKey(filePath, content, mdxConfig) {
+  const pluginFiles = PLUGIN_KINDS.map(kind => (mdxConfig[`${kind}_plugins`] || []).map(entry => {
+    const resolved = resolvePlugin(normalizePluginEntry(entry, kind).name, kind);
     try {
-      const files = fs.readdirSync(entryDir);
-      entryFiles = files.filter(f => f.startsWith('mdx-entry-') && f.endsWith('.mjs'));
-    } catch (e) {
-      return; // Error reading entry dir, skip
+      const stat = fs.statSync(resolved);
+      return [resolved, stat.size, stat.mtimeMs];
+    } catch (err) {
+      return [resolved];
     }
-    
-    if (entryFiles.length === 0) return;
-    
-    const outDir = path.join(publicDir, 'assets');
-    fs.mkdirSync(outDir, { recursive: true });
-    
-    // Bundle each entry file individually
-    entryFiles.forEach(entryFile => {
-      const entryPath = path.join(entryDir, entryFile);
-      const hash = entryFile.match(/mdx-entry-([a-f0-9]+)/)?.[1] || 'unknown';
-      const outName = `mdx-hydrate-${hash}.js`;
-      
-      try {
-        esbuild.buildSync({
-          entryPoints: [entryPath],
-          bundle: true,
-          format: 'iife',
-          outfile: path.join(outDir, outName),
-          platform: 'browser',
-          target: 'es2017',
-          minify: false,
-          absWorkingDir: process.cwd(),
-          loader: { '.jsx': 'jsx', '.js': 'js', '.mjs': 'js' }
-        });
-        console.log(`INFO  ✓ Bundled entry to ${path.join(outDir, outName)}`);
-      } catch (err) {
-        console.warn(`INFO  Bundle error for ${entryFile}: ${err.message}`);
-      }
-    });
+  }));
+  const siteConfig = (hexo && hexo.config) || {};
+  return hashOf(RENDERER_VERSION, filePath, content, pluginFiles, {
+    mdx: mdxConfig,
+    production: isProduction(mdxConfig),
+    syntax_highlighter: siteConfig.syntax_highlighter,
+    modifyAnchors: siteConfig.marked && siteConfig.marked.modifyAnchors,
+    katex: mdxConfig.math ? require('katex/package.json').version : null
+  });
+}
+
+function readCompileCache(key) {
+  try {
+    return fs.readFileSync(path.join(getCacheDir(), 'compile', `${key}.js`), 'utf8');
+  } catch (err) {
+    return null;
+  }
+}
+
+function writeCompileCache(key, code) {
+  try {
+    const file = path.join(getCacheDir(), 'compile', `${key}.js`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, code, 'utf8');
   } catch (err) {
-    // Silently skip if esbuild is unavailable
+    console.warn(`WARN  Cannot write MDX cache: ${err.message}`);
   }
 }
 
-// Bundle a single entry by its MDX file hash (targets only one output)
-function bundleEntryByHash(hash) {
+// Bundle all hydration entries with esbuild in a single in-memory build. Output names carry a
+// content hash (mdx-hydrate-<file hash>-<content hash>.js) for long-term caching. Code splitting moves
+// React and components shared between posts into common chunks under <assets_dir>/chunks,
+// and <assets_dir>/mdx-manifest.json lists the chunks each post's bundle loads. CSS the components
+// import is extracted next to each post's bundle (mdx-hydrate-<file hash>-<content hash>.css).
+// Resolves to Hexo generator routes ({ path, data }); nothing is written to the public dir.
+async function bundleHydrationEntries() {
+  try {
+    require('esbuild');
+  } catch (err) {
+    return []; // Skip if esbuild is unavailable
+  }
+  const projectRoot = getBaseDir();
+  const publicDir = (hexo && hexo.public_dir) ? hexo.public_dir : path.join(projectRoot, 'public');
+  const mdxConfig = getMdxConfig();
+  const assetsDir = getAssetsDir(mdxConfig);
+  const assetBaseUrl = assetUrl(mdxConfig, '');
+  renderErrors.delete(BUNDLE_ERROR_KEY);
+
+  // Clear require cache for components before bundling to ensure fresh imports
+  Object.keys(require.cache).forEach(key => {
+    if (key.includes('source/components') || key.includes('source\\components')) {
+      delete require.cache[key];
+    }
+  });
+
+  // Get all entry files
+  const entryDir = getEntryDir();
+  let entryFiles = [];
+  try {
+    entryFiles = fs.readdirSync(entryDir).filter(f => f.startsWith('mdx-entry-') && f.endsWith('.mjs'));
+  } catch (e) {
+    return []; // No entry generated, skip bundling
+  }
+
+  if (entryFiles.length === 0) return [];
+
+  // Name each output after its entry hash: mdx-entry-<hash>.mjs -> mdx-hydrate-<hash>-<content hash>.js
+  const entryPoints = {};
+  const entrySources = new Map();
+  entryFiles.forEach(entryFile => {
+    const hash = entryFile.match(/mdx-entry-([a-f0-9]+)/)?.[1] || 'unknown';
+    entryPoints[`mdx-hydrate-${hash}`] = path.join(entryDir, entryFile);
+    entrySources.set(hash, readEntrySource(path.join(entryDir, entryFile)));
+  });
+
+  const buildOptions = {
+    ...getBundleOptions(mdxConfig),
+    entryPoints,
+    bundle: true,
+    // Only used to compute output paths; with write: false nothing lands on disk
+    outdir: path.join(publicDir, assetsDir),
+    write: false,
+    entryNames: '[name]-[hash]',
+    chunkNames: 'chunks/[name]-[hash]',
+    metafile: true,
+    platform: 'browser',
+    absWorkingDir: process.cwd(),
+    // Same JSX handling as the Babel register used for SSR: JSX allowed in .js, automatic runtime.
+    // TypeScript files are compiled with (and `paths` resolved from) their nearest tsconfig.json.
+    jsx: 'automatic',
+    loader: { '.jsx': 'jsx', '.js': 'jsx', '.mjs': 'js', '.ts': 'ts', '.tsx': 'tsx' },
+    // mdx.on_error fallback only lists a failed build in the summary when Hexo exits
+    ...(mdxConfig.on_error === 'fallback' ? { logLevel: 'silent' } : {})
+  };
+
+  // Reuse the last bundles when no entry and none of the files they were built from changed
+  const useCache = mdxConfig.cache !== false;
+  const bundleCacheFile = path.join(getCacheDir(), 'bundle.json');
+  const bundleKey = hashOf(RENDERER_VERSION, publicDir, buildOptions, assetBaseUrl,
+    Array.from(tsconfigFiles).map(file => [file, fs.existsSync(file) ? fs.readFileSync(file) : null]),
+    Object.keys(entryPoints).map(name => [name, fs.readFileSync(entryPoints[name])]));
+  const cached = useCache ? readBundleCache(bundleCacheFile, bundleKey) : null;
+  if (cached) {
+    setBundledEntries(cached.entries);
+    Object.keys(cached.assets).forEach(file => usedAssets.set(file, cached.assets[file]));
+    console.log(`INFO  ✓ Hydration bundles unchanged, using cache`);
+    return cached.routes.map(route => ({
+      path: route.path,
+      data: route.text !== undefined ? route.text : Buffer.from(route.data, 'base64')
+    }));
+  }
+
+  let result;
   try {
-    const esbuild = require('esbuild');
-    const projectRoot = hexo && hexo.base_dir ? hexo.base_dir : process.cwd();
-    const publicDir = (hexo && hexo.public_dir) ? hexo.public_dir : path.join(projectRoot, 'public');
-    const entryPath = path.join(publicDir, '.hexo-mdx-entry', `mdx-entry-${hash}.mjs`);
-    const outDir = path.join(publicDir, 'assets');
-    const outName = `mdx-hydrate-${hash}.js`;
-
-    if (!fs.existsSync(entryPath)) {
-      return; // No entry for this hash yet
-    }
-
-    fs.mkdirSync(outDir, { recursive: true });
-    esbuild.buildSync({
-      entryPoints: [entryPath],
-      bundle: true,
-      format: 'iife',
-      outfile: path.join(outDir, outName),
-      platform: 'browser',
-      target: 'es2017',
-      minify: false,
-      absWorkingDir: process.cwd(),
-      loader: { '.jsx': 'jsx', '.js': 'js', '.mjs': 'js' }
+    // With `mdx.workers`, esbuild runs in a worker so Hexo's thread stays free meanwhile
+    const pool = getWorkerPool();
+    result = pool
+      ? await pool.run({ type: 'bundle', options: buildOptions, assetBaseUrl })
+      : await buildHydrationBundles(buildOptions, assetBaseUrl);
+  } catch (err) {
+    const message = `Hydration bundle failed: ${err.message}`;
+    recordRenderError(BUNDLE_ERROR_KEY, message);
+    if (mdxConfig.on_error === 'fail' && !isServerCommand()) {
+      throw new Error(message);
+    }
+    if (mdxConfig.on_error !== 'fallback' || isServerCommand()) {
+      console.warn(`WARN  ${message}`);
+    }
+    // Pages keep their server-rendered markup; resolveEntryScripts drops the tags of the missing bundles
+    bundleFailed = true;
+    setBundledEntries([]);
+    return [];
+  }
+
+  Object.keys(result.assets).forEach(file => usedAssets.set(file, result.assets[file]));
+
+  const toRoutePath = p => path.relative(publicDir, path.resolve(process.cwd(), p)).split(path.sep).join('/');
+  const routes = result.outputFiles.map(file => ({
+    path: toRoutePath(file.path),
+    data: Buffer.from(file.contents)
+  }));
+  const manifest = buildChunkManifest(result.metafile, toRoutePath, entrySources);
+  // Post content keeps the URLs written at render time (mdx-hydrate-<hash>.js/.css); only pages
+  // rendered with a layout get the hashed ones, so feeds and `layout: false` pages load these copies
+  Object.keys(manifest).forEach(key => {
+    const { id, entry, css } = manifest[key];
+    [[entry, 'js'], [css, 'css']].forEach(([routePath, ext]) => {
+      const route = routePath && routes.find(r => r.path === routePath);
+      if (!route) return;
+      const name = `mdx-hydrate-${id}.${ext}`;
+      routes.push({ path: assetsDir ? `${assetsDir}/${name}` : name, data: route.data });
     });
-    console.log(`INFO  ✓ Bundled entry to ${path.join(outDir, outName)}`);
+  });
+  routes.push({
+    path: assetsDir ? `${assetsDir}/mdx-manifest.json` : 'mdx-manifest.json',
+    data: JSON.stringify(manifest, null, 2)
+  });
+
+  const entries = Object.keys(manifest).map(key => [manifest[key].id, { entry: manifest[key].entry, css: manifest[key].css }]);
+  setBundledEntries(entries);
+  if (useCache) {
+    writeBundleCache(bundleCacheFile, bundleKey, result, routes, entries);
+  }
+  console.log(`INFO  ✓ Bundled ${entryFiles.length} hydration entr${entryFiles.length === 1 ? 'y' : 'ies'}`);
+  return routes;
+}
+
+// Remember the hashed entry and stylesheet of each post for the after_render:html filter
+function setBundledEntries(entries) {
+  bundledEntries.clear();
+  entries.forEach(([hash, bundled]) => bundledEntries.set(hash, bundled));
+}
+
+// Hash of each file (null when it cannot be read), paths absolute or relative to the working directory
+function hashFiles(files) {
+  const hashes = {};
+  files.forEach(file => {
+    try {
+      hashes[file] = hashOf(fs.readFileSync(path.resolve(process.cwd(), file)));
+    } catch (err) {
+      hashes[file] = null;
+    }
+  });
+  return hashes;
+}
+
+function readBundleCache(file, key) {
+  let cached;
+  try {
+    cached = JSON.parse(fs.readFileSync(file, 'utf8'));
   } catch (err) {
-    console.warn(`INFO  Bundle error for hash ${hash}: ${err && err.message}`);
+    return null;
   }
+  if (cached.key !== key) return null;
+  const inputs = hashFiles(Object.keys(cached.inputs));
+  const changed = Object.keys(inputs).some(input => inputs[input] === null || inputs[input] !== cached.inputs[input]);
+  return changed ? null : cached;
 }
 
-// Persist component -> [mdxFiles] mapping into the public dir so it ships with the site
-function saveComponentPathJson() {
+function writeBundleCache(file, key, { metafile, assets }, routes, entries) {
+  // CSS modules are also loaded under a plugin namespace; the file itself is an input as well
+  const inputs = Object.keys(metafile.inputs).filter(input => !input.startsWith('mdx-css-module:'));
   try {
-    const projectRoot = hexo && hexo.base_dir ? hexo.base_dir : process.cwd();
-    const publicDir = (hexo && hexo.public_dir) ? hexo.public_dir : path.join(projectRoot, 'public');
-    const publicOut = path.join(publicDir, 'hexo-renderer-mdx.component-path.json');
-    const obj = {};
-    componentDependencies.forEach((mdxSet, compPath) => {
-      try {
-        obj[compPath] = Array.from(mdxSet);
-      } catch (e) {
-        obj[compPath] = [];
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({
+      key,
+      inputs: hashFiles(inputs.concat(Object.keys(assets))),
+      entries,
+      assets,
+      routes: routes.map(route => typeof route.data === 'string'
+        ? { path: route.path, text: route.data }
+        : { path: route.path, data: Buffer.from(route.data).toString('base64') })
+    }), 'utf8');
+  } catch (err) {
+    console.warn(`WARN  Cannot write MDX bundle cache: ${err.message}`);
+  }
+}
+
+// Build the mdx-manifest.json content: MDX source -> { entry, chunks, css } (paths relative to the site root)
+function buildChunkManifest(metafile, toRoutePath, entrySources) {
+  // Collect the static imports of an output, following chunks that import other chunks
+  const collectChunks = (outputPath, seen) => {
+    const output = metafile.outputs[outputPath];
+    (output && output.imports || []).forEach(imp => {
+      if (imp.kind !== 'import-statement' || imp.external || seen.has(imp.path)) return;
+      seen.add(imp.path);
+      collectChunks(imp.path, seen);
+    });
+    return seen;
+  };
+
+  const manifest = {};
+  Object.keys(metafile.outputs).forEach(outputPath => {
+    const output = metafile.outputs[outputPath];
+    if (!output.entryPoint) return;
+    const hash = path.basename(output.entryPoint).match(/mdx-entry-([a-f0-9]+)/)?.[1];
+    const key = entrySources.get(hash) || hash;
+    manifest[key] = {
+      id: hash,
+      entry: toRoutePath(outputPath),
+      chunks: Array.from(collectChunks(outputPath, new Set())).map(toRoutePath)
+    };
+    if (output.cssBundle) {
+      manifest[key].css = toRoutePath(output.cssBundle);
+    }
+  });
+  return manifest;
+}
+
+// Component -> [mdxFiles] mapping as a plain object
+function getComponentPathMapping() {
+  const obj = {};
+  componentDependencies.forEach((mdxSet, compPath) => {
+    try {
+      obj[compPath] = Array.from(mdxSet);
+    } catch (e) {
+      obj[compPath] = [];
+    }
+  });
+  return obj;
+}
+
+// Add the mapping an earlier run saved into base_dir, once per process: Hexo serves unchanged
+// posts from its cache without rendering them, so only the saved file knows their components
+let componentPathJsonLoaded = false;
+function loadComponentPathJson() {
+  if (componentPathJsonLoaded) return;
+  componentPathJsonLoaded = true;
+  try {
+    const projectRoot = getBaseDir();
+    const mapping = JSON.parse(fs.readFileSync(path.join(projectRoot, 'hexo-renderer-mdx.component-path.json'), 'utf8')) || {};
+    Object.keys(mapping).forEach(compPath => {
+      if (!componentDependencies.has(compPath)) {
+        componentDependencies.set(compPath, new Set());
       }
+      (mapping[compPath] || []).forEach(mdxFile => componentDependencies.get(compPath).add(mdxFile));
     });
-    fs.mkdirSync(publicDir, { recursive: true });
-    fs.writeFileSync(publicOut, JSON.stringify(obj, null, 2), 'utf8');
+  } catch (err) {
+    // Nothing saved yet (or removed by hand)
+  }
+}
+
+// Persist component -> [mdxFiles] mapping into base_dir, where the `hexo server` watcher reads it.
+// The mdx_hydration generator also routes a copy into the site.
+function saveComponentPathJson() {
+  try {
+    const projectRoot = getBaseDir();
+    const out = path.join(projectRoot, 'hexo-renderer-mdx.component-path.json');
+    fs.writeFileSync(out, JSON.stringify(getComponentPathMapping(), null, 2), 'utf8');
   } catch (err) {
     console.warn('Could not write component-path JSON:', err && err.message);
   }
@@ -407,6 +2671,7 @@ async function mdxRendererWithTracking(data) {
   
   // Track which components this MDX file depends on
   if (data.dependencies && data.dependencies.size > 0) {
+    loadComponentPathJson();
     data.dependencies.forEach(componentPath => {
       if (!componentDependencies.has(componentPath)) {
         componentDependencies.set(componentPath, new Set());
@@ -424,31 +2689,29 @@ async function mdxRendererWithTracking(data) {
   return result;
 }
 
-hexo.extend.renderer.register('mdx', 'html', mdxRendererWithTracking, {
-  disableNunjucks: true
-});
+// Compile workers load this module with a stand-in `hexo` that has no extend API
+if (hexo && hexo.extend && hexo.extend.renderer) {
+  hexo.extend.renderer.register('mdx', 'html', mdxRendererWithTracking, {
+    disableNunjucks: true
+  });
+}
 
 /**
  * Watch component files and trigger full site regeneration when they change
  */
 let mdxComponentWatcher = null;
-// Only register watcher in real Hexo server runs
-if (
-  hexo &&
-  hexo.extend &&
-  hexo.extend.filter &&
-  typeof hexo.extend.filter.register === 'function' &&
-  hexo.env && hexo.env.cmd === 'server'
-) {
+// Registered for every command; the watcher itself only starts in `hexo server` runs
+if (canRegisterFilters) {
 hexo.extend.filter.register('after_init', function() {
   // Set up file watcher for component paths from the JSON mapping
   const sourceDir = path.join(hexo.source_dir, 'components');
-  const projectRoot = hexo && hexo.base_dir ? hexo.base_dir : process.cwd();
+  const projectRoot = getBaseDir();
   const componentPathJsonPath = path.join(projectRoot, 'hexo-renderer-mdx.component-path.json');
   
-  // Only initialize the persistent watcher during `hexo server` runs.
+  // Only initialize the persistent watcher during `hexo server` runs, also as `hexo s`
+  // (checked here: console aliases are only complete once every plugin is loaded).
   // For other commands (clean/generate), skip watcher to allow the process to exit.
-  if (!hexo || !hexo.env || hexo.env.cmd !== 'server') {
+  if (!isServerCommand()) {
     return;
   }
 
@@ -465,6 +2728,9 @@ hexo.extend.filter.register('after_init', function() {
     return [];
   }
 
+  // Set below; attached to every watcher recreateWatcher creates
+  let onComponentChange = null;
+
   // Function to recreate the watcher with current component paths
   function recreateWatcher() {
     if (mdxComponentWatcher) {
@@ -484,7 +2750,9 @@ hexo.extend.filter.register('after_init', function() {
     try {
       mdxComponentWatcher = chokidar.watch(pathsToWatch, {
         ignored: /node_modules|\.git/,
-        persistent: true
+        persistent: true,
+        // The initial `add` of the mapping file would recreate the watcher again, endlessly
+        ignoreInitial: true
       });
       
       console.log(`INFO  Watching ${componentPaths.length} component path(s)`);
@@ -512,6 +2780,12 @@ hexo.extend.filter.register('after_init', function() {
           }
         }
       });
+
+      mdxComponentWatcher.on('change', (changedPath) => {
+        if (changedPath !== componentPathJsonPath && onComponentChange) {
+          onComponentChange(changedPath);
+        }
+      });
     } catch (err) {
       console.warn('Failed to create component watcher:', err.message);
     }
@@ -525,101 +2799,28 @@ hexo.extend.filter.register('after_init', function() {
       // PAUSE the watcher to prevent it from detecting the file deletions during regeneration
       try { mdxComponentWatcher.close(); } catch (e) {}
 
-      // Clear the require cache for all components and Babel
+      // Load the components and the local files they import again; packages stay cached
       Object.keys(require.cache).forEach(key => {
-        if (key.includes('source/components') || key.includes('.hexo-mdx-entry') || key.includes('source\\components')) {
+        if (!key.includes('node_modules') && path.dirname(key) !== __dirname) {
           delete require.cache[key];
         }
       });
 
-      // Delete the compiled entry directory to force recreation
-      const fs = require('fs');
-      const mdxEntryDir = path.join(hexo.base_dir, '.hexo-mdx-entry');
-      if (fs.existsSync(mdxEntryDir)) {
-        try {
-          fs.rmSync(mdxEntryDir, { recursive: true });
-        } catch (err) {
-          // Ignore cleanup errors
-        }
-      }
-
       // Invalidate Hexo's locals cache
       if (hexo.locals) {
         hexo.locals.invalidate();
       }
 
-      // Read component-path JSON (prefer the copy in public) and try to rerender only affected MDX files
-      const mappingCandidates = [
-        path.join((hexo && hexo.public_dir) ? hexo.public_dir : path.join(hexo.base_dir || process.cwd(), 'public'), 'hexo-renderer-mdx.component-path.json'),
-        path.join(hexo.base_dir || process.cwd(), 'hexo-renderer-mdx.component-path.json')
-      ];
-      let mapping = null;
-      for (const mappingPath of mappingCandidates) {
-        try {
-          if (fs.existsSync(mappingPath)) {
-            mapping = JSON.parse(fs.readFileSync(mappingPath, 'utf8')) || null;
-            break;
-          }
-        } catch (e) {
-          mapping = null;
-        }
-      }
-
-      const normalize = p => path.resolve(p).split(path.sep).join(path.sep);
-      const normalizedChanged = normalize(changedPath);
-
-      let affectedMdxFiles = [];
-      if (mapping) {
-        Object.keys(mapping).forEach(compPath => {
-          const normalizedComp = normalize(compPath);
-          if (
-            normalizedChanged === normalizedComp ||
-            normalizedChanged.startsWith(normalizedComp + path.sep) ||
-            normalizedComp.startsWith(normalizedChanged + path.sep)
-          ) {
-            const arr = mapping[compPath] || [];
-            arr.forEach(m => { if (m && affectedMdxFiles.indexOf(m) === -1) affectedMdxFiles.push(m); });
-          }
-        });
-      }
-
-      // If we found affected files, try to rerender them individually; otherwise fallback to full clean + generate
-      process.nextTick(async () => {
-        if (affectedMdxFiles.length > 0) {
-          console.log(`INFO  Rerendering ${affectedMdxFiles.length} affected MDX file(s)...`);
-          let failed = false;
-          for (const mdxFile of affectedMdxFiles) {
-            try {
-              // Best-effort: try to call a targeted generate if available; fall back to full generate on failure
-              await hexo.call('generate', { watch: false, file: mdxFile }).catch(() => { throw new Error('per-file generate unsupported'); });
-            } catch (err) {
-              failed = true;
-              break;
-            }
-          }
-          if (!failed) {
-            console.log('INFO  ✓ Per-file regeneration complete');
-            // Bundle only the affected entries by their file hash
-            const hashes = Array.from(new Set(affectedMdxFiles.map(f => crypto.createHash('md5').update(f).digest('hex').slice(0, 8))));
-            hashes.forEach(h => bundleEntryByHash(h));
-            // Resume watcher
-            recreateWatcher();
-            return;
-          }
-          // Fallback to full clean+generate below
-        }
-
-        // Fallback: full clean + generate
-        hexo.call('clean').then(() => {
-          return hexo.call('generate', {watch: false});
+      // Hexo does not render unchanged posts again: clear the content of the posts importing the
+      // component, so the generation renders them before the live reload tells their pages.
+      // The hydration entries of the other posts stay in place so their bundles are still built.
+      loadComponentPathJson();
+      const affected = componentDependencies.get(changedPath) || new Set();
+      process.nextTick(() => {
+        clearPostContent(post => affected.has(post.full_source)).then(() => {
+          return hexo.call('generate', { watch: false });
         }).then(() => {
           console.log('INFO  ✓ Regeneration complete');
-          // Bundle only the affected entries (if any were identified)
-          if (affectedMdxFiles.length > 0) {
-            const hashes = Array.from(new Set(affectedMdxFiles.map(f => crypto.createHash('md5').update(f).digest('hex').slice(0, 8))));
-            hashes.forEach(h => bundleEntryByHash(h));
-          }
-          console.log('INFO  ✓ Refresh your browser to see changes');
           // Resume watcher
           recreateWatcher();
         }).catch(err => {
@@ -630,7 +2831,7 @@ hexo.extend.filter.register('after_init', function() {
       });
     };
     
-    mdxComponentWatcher.on('change', handleComponentChange);
+    onComponentChange = handleComponentChange;
     
     console.log('INFO  Component file watcher initialized');
   } catch (err) {
@@ -642,51 +2843,202 @@ hexo.extend.filter.register('after_init', function() {
 });
 }
 
-// Close watcher when Hexo exits to allow process to terminate properly
+// Close watcher when Hexo exits to allow process to terminate properly, and sum up the MDX
+// errors of `hexo generate` (`hexo server` shows them in the pages instead)
 if (hexo && typeof hexo.on === 'function') {
   hexo.on('exit', function() {
     if (mdxComponentWatcher) {
       mdxComponentWatcher.close();
     }
+    liveReloadClients.forEach(res => res.end());
+    if (!isServerCommand()) {
+      reportRenderErrors();
+    }
   });
 }
 
-// Ensure component-path JSON is placed into public when site is generated,
-// and bundle the entry if one was created during rendering.
-try {
-  if (
-    hexo &&
-    hexo.extend &&
-    hexo.extend.filter &&
-    typeof hexo.extend.filter.register === 'function'
-  ) {
-    hexo.extend.filter.register('after_generate', function() {
-      try {
-        const projectRoot = hexo && hexo.base_dir ? hexo.base_dir : process.cwd();
-        const src = path.join(projectRoot, 'hexo-renderer-mdx.component-path.json');
-        const publicDir = (hexo && hexo.public_dir) ? hexo.public_dir : path.join(projectRoot, 'public');
-        const dest = path.join(publicDir, 'hexo-renderer-mdx.component-path.json');
-        if (fs.existsSync(src)) {
-          fs.mkdirSync(publicDir, { recursive: true });
-          fs.copyFileSync(src, dest);
-        }
-        
-        // Bundle the entry file to produce the hydration client bundle
-        bundleEntryToPublic();
-      } catch (e) {
-        // ignore
-      }
+// Serve hydration bundles, their manifest and the component-path JSON as Hexo routes,
+// so `hexo server` serves them from memory and `hexo generate`/deploy pick them up.
+// Generators run after posts are rendered, so every hydration entry exists by now.
+if (hexo && hexo.extend && hexo.extend.generator && typeof hexo.extend.generator.register === 'function') {
+  hexo.extend.generator.register('mdx_hydration', async function() {
+    const previous = new Map(bundledEntries);
+    pruneEntryDir();
+    const routes = await bundleHydrationEntries();
+    // Pages whose bundle or CSS changed reload too, e.g. after editing a component
+    if (isServerCommand()) {
+      bundledEntries.forEach((bundled, hash) => {
+        const before = previous.get(hash);
+        if (!before || before.entry !== bundled.entry || before.css !== bundled.css) liveReloadChanges.add(hash);
+      });
+    }
+    // Images, fonts and other files imported by components, from the server render (in this run
+    // or, for posts Hexo did not render again, an earlier one) or the bundles
+    readSavedAssets().forEach(([file, name]) => {
+      if (!usedAssets.has(file) && fs.existsSync(file)) usedAssets.set(file, name);
+    });
+    const assetsDir = getAssetsDir(getMdxConfig());
+    usedAssets.forEach((name, file) => {
+      routes.push({
+        path: assetsDir ? `${assetsDir}/${name}` : name,
+        data: () => fs.createReadStream(file)
+      });
     });
+    loadComponentPathJson();
+    if (componentDependencies.size > 0) {
+      routes.push({
+        path: 'hexo-renderer-mdx.component-path.json',
+        data: JSON.stringify(getComponentPathMapping(), null, 2)
+      });
+    }
+    return routes;
+  });
+}
+
+// Live reload during `hexo server`: pages showing MDX posts connect to this endpoint (see
+// liveReloadScript) and are told which posts each generation rebuilt. Registered before
+// hexo-server's own middlewares so its optional compression never buffers the stream.
+if (canRegisterFilters) {
+  hexo.extend.filter.register('server_middleware', function(app) {
+    app.use(getLiveReloadPath(), function(req, res) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.write('retry: 1000\n\n');
+      liveReloadClients.add(res);
+      req.on('close', () => liveReloadClients.delete(res));
+    });
+  }, 0);
+}
+
+// Hexo emits generateAfter once the routes of a generation, bundles included, are in place
+if (hexo && typeof hexo.on === 'function') {
+  hexo.on('generateAfter', function() {
+    const changed = Array.from(liveReloadChanges);
+    liveReloadChanges.clear();
+    if (changed.length === 0) return;
+    liveReloadClients.forEach(res => res.write(`event: reload\ndata: ${JSON.stringify(changed)}\n\n`));
+  });
+}
+
+// Remember the post/page being rendered so MDX can read it as `page`; Hexo only passes
+// the source text and path to renderers.
+if (canRegisterFilters) {
+  hexo.extend.filter.register('before_post_render', function(data) {
+    if (data && data.full_source && path.extname(data.full_source) === '.mdx') {
+      pageContexts.set(data.full_source, data);
+    }
+    return data;
+  });
+}
+
+/**
+ * Point hydration script tags and stylesheet links at the content-hashed bundles built by the
+ * mdx_hydration generator, or remove them when the build failed.
+ * @param {string} str - Rendered HTML
+ * @returns {string}
+ */
+function resolveEntryScripts(str) {
+  if (!str.includes('data-mdx-entry=') && !str.includes('data-mdx-css=')) return str;
+  if (bundleFailed) {
+    return str
+      .replace(/<script [^>]*data-mdx-entry="[a-f0-9]+"[^>]*><\/script>/g, '')
+      .replace(/<link [^>]*data-mdx-css="[a-f0-9]+"[^>]*>/g, '');
   }
-} catch (e) {
-  // ignore if filter registration not available
+  const mdxConfig = getMdxConfig();
+  const assetsDir = getAssetsDir(mdxConfig);
+  const resolve = key => (match, before, after, hash) => {
+    const route = bundledEntries.has(hash) && bundledEntries.get(hash)[key];
+    if (!route) return match;
+    const file = assetsDir ? route.slice(assetsDir.length + 1) : route;
+    return `${before}${assetUrl(mdxConfig, file)}${after}`;
+  };
+  return str
+    .replace(/(<script [^>]*src=")[^"]*("[^>]* data-mdx-entry="([a-f0-9]+)")/g, resolve('entry'))
+    .replace(/(<link [^>]*href=")[^"]*("[^>]* data-mdx-css="([a-f0-9]+)")/g, resolve('css'));
+}
+
+/**
+ * Keep one KaTeX stylesheet per page, moved into <head> when the layout has one.
+ * @param {string} str - Rendered HTML
+ * @returns {string}
+ */
+function dedupeMathStylesheet(str) {
+  if (!str.includes(KATEX_STYLESHEET_ATTR)) return str;
+  const rLink = new RegExp(`<link [^>]*${KATEX_STYLESHEET_ATTR}>`, 'g');
+  const links = str.match(rLink) || [];
+  if (links.length === 0 || (links.length === 1 && !str.includes('</head>'))) return str;
+  const stripped = str.replace(rLink, '');
+  return stripped.includes('</head>')
+    ? stripped.replace('</head>', `${links[0]}</head>`)
+    : `${links[0]}${stripped}`;
+}
+
+// Runs for each page rendered with its layout (Hexo registers it as _after_html_render)
+if (canRegisterFilters) {
+  hexo.extend.filter.register('after_render:html', function(str, locals) {
+    if (typeof str !== 'string') return str;
+    const html = dedupeMathStylesheet(resolveEntryScripts(str));
+    return isServerCommand() ? injectLiveReload(html, locals) : html;
+  });
+}
+
+/**
+ * Clear the content Hexo saved to db.json for the posts and pages matching `test`, so Hexo's
+ * render_post filter renders them again.
+ * @param {Function} test - Called with each post and page that has content
+ * @returns {Promise}
+ */
+function clearPostContent(test) {
+  if (!hexo || typeof hexo.model !== 'function') return Promise.resolve();
+  const stale = [].concat(...['Post', 'Page'].map(name => hexo.model(name).toArray()))
+    .filter(post => typeof post.content === 'string' && test(post));
+  return Promise.all(stale.map(post => {
+    post.content = undefined;
+    return post.save();
+  }));
+}
+
+// Runs before Hexo's render_post filter (priority 10), which renders the posts without content:
+// - fails fast on an invalid `mdx:` config. Not checked while the plugin loads: Hexo only logs
+//   errors thrown there and goes on to publish the site without its MDX posts. The theme
+//   config is also only loaded by now.
+// - has posts rendered again when a component they import changed, and the posts holding the
+//   `hexo server` error page (`hexo generate` then reports the error instead of publishing the page)
+// - tries the bundles again in a new generation (e.g. after an edit in `hexo server`), so
+//   posts rendered now keep their script tags
+if (canRegisterFilters) {
+  hexo.extend.filter.register('before_generate', function() {
+    try {
+      validateMdxConfig(getMdxConfig());
+    } catch (err) {
+      process.exitCode = 1;
+      throw err;
+    }
+    bundleFailed = false;
+    return clearPostContent(post => rErrorOverlay.test(post.content) || hasChangedDependencies(post));
+  }, 0);
+}
+
+// `hexo clean` removes the hydration entry scratch directory and the MDX cache along with the public dir
+if (canRegisterFilters) {
+  hexo.extend.filter.register('after_clean', function() {
+    fs.rmSync(getEntryDir(), { recursive: true, force: true });
+    fs.rmSync(getCacheDir(), { recursive: true, force: true });
+  });
 }
 
 // Export renderer functions for tests and direct usage outside Hexo
 try {
   module.exports = {
     mdxRenderer,
-    mdxRendererWithTracking
+    mdxRendererWithTracking,
+    getMdxConfig,
+    validateMdxConfig,
+    compileMdx,
+    buildHydrationBundles
   };
 } catch (e) {
   // ignore export errors in unusual runtimes
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Bundles are served as routes, so this public dir must stay empty
+const publicDir = fs.mkdtempSync(path.join(__dirname, 'test', '.public-'));
+
+// Mock hexo global object
+global.hexo = {
+  base_dir: __dirname,
+  public_dir: publicDir,
+  source_dir: path.join(__dirname, 'test'),
+  config: {
+    url: 'https://example.com/blog',
+    root: '/blog/',
+    mdx: {
+      assets_dir: 'static/mdx'
+    }
+  },
+  extend: {
+    helper: {
+      get: function(name) {
+        return name === 'url_for' ? require('hexo-util').url_for : undefined;
+      }
+    },
+    generator: {
+      register: function(name, fn) {
+        this._generator = fn;
+      }
+    },
+    filter: {
+      _filters: {},
+      register: function(type, fn) {
+        this._filters[type] = fn;
+      }
+    },
+    renderer: {
+      register: function(ext, outputExt, fn, sync) {
+        console.log(`✓ Renderer registered for .${ext} files`);
+        this._renderer = fn;
+      }
+    }
+  }
+};
+
+// Load the renderer
+const { getMdxConfig, validateMdxConfig } = require('./index.js');
+
+// Test server-side rendering and hydration of imported components
+async function testComponents() {
+  console.log('\n=== Testing imported components ===\n');
+
+  try {
+    const mdxPath = path.join(__dirname, 'test', 'components.mdx');
+    const data = { text: '', path: mdxPath };
+
+    console.log('Rendering...\n');
+    const warnings = [];
+    const originalWarn = console.warn;
+    console.warn = (...args) => warnings.push(args.join(' '));
+    let html;
+    try {
+      html = await global.hexo.extend.renderer._renderer(data);
+    } finally {
+      console.warn = originalWarn;
+    }
+    // A second post sharing Counter, then the after_generate bundling step
+    await global.hexo.extend.renderer._renderer({ text: '', path: path.join(__dirname, 'test', 'components-shared.mdx') });
+    // A post whose only component is static still gets the CSS that component imports
+    const stylesHtml = await global.hexo.extend.renderer._renderer({ text: '', path: path.join(__dirname, 'test', 'styles.mdx') });
+    const routes = await global.hexo.extend.generator._generator();
+
+    // Nothing changed: the second build comes from .hexo-mdx-cache
+    const logs = [];
+    const originalLog = console.log;
+    console.log = (...args) => logs.push(args.join(' '));
+    let cachedRoutes;
+    try {
+      cachedRoutes = await global.hexo.extend.generator._generator();
+    } finally {
+      console.log = originalLog;
+    }
+    const cacheDir = path.join(__dirname, '.hexo-mdx-cache');
+    const compileCache = fs.readdirSync(path.join(cacheDir, 'compile'));
+    // A cached post is not compiled again
+    const sharedPath = path.join(__dirname, 'test', 'components-shared.mdx');
+    compileCache.forEach(file => {
+      const cacheFile = path.join(cacheDir, 'compile', file);
+      fs.writeFileSync(cacheFile, fs.readFileSync(cacheFile, 'utf8').replace('Another post', 'From the cache'));
+    });
+    const cachedHtml = await global.hexo.extend.renderer._renderer({ text: '', path: sharedPath });
+    const routeData = routePath => (routes.find(r => r.path === routePath) || {}).data;
+    const manifest = JSON.parse(routeData('static/mdx/mdx-manifest.json') || '{}');
+    const finalHtml = global.hexo.extend.filter._filters['after_render:html'](html);
+    const hashedSrc = (finalHtml.match(/src="\/blog\/(static\/mdx\/mdx-hydrate-[a-f0-9]+-[A-Z0-9]+\.js)"/) || [])[1];
+    const postChunks = manifest['test/components.mdx'] ? manifest['test/components.mdx'].chunks : [];
+    const sharedChunks = manifest['test/components-shared.mdx'] ? manifest['test/components-shared.mdx'].chunks : [];
+    const cardClass = (stylesHtml.match(/<div class="(Card_card_[a-f0-9]{6})">/) || [])[1];
+    const logoUrl = (stylesHtml.match(/<img class="Card_logo_[a-f0-9]{6}" src="([^"]+)"/) || [])[1] || '';
+    const logoRoute = routes.find(r => `/blog/${r.path}` === logoUrl);
+    let logoStream = null;
+    if (logoRoute) {
+      const stream = logoRoute.data();
+      logoStream = stream.path;
+      stream.destroy();
+    }
+    const finalStylesHtml = global.hexo.extend.filter._filters['after_render:html'](stylesHtml);
+    const hashedCss = (finalStylesHtml.match(/href="\/blog\/(static\/mdx\/mdx-hydrate-[a-f0-9]+-[A-Z0-9]+\.css)"/) || [])[1];
+    const stylesCss = String(routeData(hashedCss) || '');
+    const postCss = String(routeData(manifest['test/components.mdx'] && manifest['test/components.mdx'].css) || '');
+
+    // Development mode (the default for `hexo server`) adds source maps
+    global.hexo.config.mdx.mode = 'development';
+    let devRoutes;
+    console.log = () => {};
+    try {
+      devRoutes = await global.hexo.extend.generator._generator();
+    } finally {
+      console.log = originalLog;
+      delete global.hexo.config.mdx.mode;
+    }
+    // Every build uses the mdx.bundle settings, here classic scripts for older browsers
+    global.hexo.config.mdx.bundle = { format: 'iife', browserslist: 'safari 12, chrome 80', define: { __MDX_TEST__: true } };
+    let iifeHtml;
+    let iifeRoutes;
+    console.log = () => {};
+    try {
+      iifeHtml = await global.hexo.extend.renderer._renderer({ text: '', path: path.join(__dirname, 'test', 'components-shared.mdx') });
+      iifeRoutes = await global.hexo.extend.generator._generator();
+    } finally {
+      console.log = originalLog;
+      delete global.hexo.config.mdx.bundle;
+    }
+    let formatError = null;
+    try {
+      validateMdxConfig({ ...getMdxConfig(), bundle: { format: 'cjs' } });
+    } catch (err) {
+      formatError = err;
+    }
+    const iifeEntry = iifeRoutes.find(r => /mdx-hydrate-.*\.js$/.test(r.path));
+    const devEntry = devRoutes.find(r => /mdx-hydrate-.*\.js$/.test(r.path));
+    const prodCode = routes.filter(r => r.path.endsWith('.js')).map(r => r.data.toString()).join('\n');
+
+    const entryDir = path.join(__dirname, '.hexo-mdx-entry');
+    const entrySource = fs.readdirSync(entryDir).map(f => fs.readFileSync(path.join(entryDir, f), 'utf8')).join('\n');
+
+    console.log('Output HTML:');
+    console.log('---');
+    console.log(html);
+    console.log('---\n');
+
+    const checks = [
+      { test: html.includes('<h1>IMPORTED COMPONENTS</h1>'), desc: 'Helper module default export called' },
+      { test: /data-mdx-component="mdx-cmp-[a-f0-9]+-\d+" data-mdx-hydrate="load"><button class="greeting">/.test(html), desc: 'Component server-rendered inside hydration root' },
+      { test: html.includes('\n<button class="greeting">Hello, <!-- -->static<!-- -->!'), desc: 'Component without directive rendered as plain HTML' },
+      { test: /data-mdx-hydrate="only" data-mdx-props="{&quot;name&quot;:&quot;browser&quot;}"><\/div>/.test(html), desc: 'client:only skips server rendering' },
+      { test: html.includes('data-mdx-hydrate="visible"') && !html.includes('client:'), desc: 'Directive stripped from props' },
+      { test: html.includes('Hello, <!-- -->world<!-- -->!'), desc: 'Component markup rendered' },
+      { test: html.includes('<script type="module" src="/blog/static/mdx/mdx-hydrate-'), desc: 'Hydration script emitted under site root and assets_dir' },
+      { test: html.includes('data-mdx-props="{&quot;start&quot;:5,&quot;label&quot;:&quot;Clicks&quot;,&quot;options&quot;:{&quot;step&quot;:1}'), desc: 'JSON-safe props serialized' },
+      { test: html.includes('&quot;children&quot;:{&quot;$$html&quot;:&quot;&lt;p&gt;Some &lt;strong&gt;bold&lt;/strong&gt; text&lt;/p&gt;&quot;}'), desc: 'Children serialized as static HTML' },
+      { test: html.includes('<div data-mdx-children="" style="display:contents"><p>Some <strong>bold</strong> text</p></div><button>Clicks<!-- -->: <!-- -->5</button>'), desc: 'Component rendered with serialized props' },
+      { test: warnings.some(w => w.includes('components.mdx') && w.includes('<Counter>') && w.includes('onChange')), desc: 'Function prop warning names file and component' },
+      { test: entrySource.includes('createElement(Comp, revive(props))'), desc: 'Hydration entry passes props' },
+      { test: entrySource.includes('IntersectionObserver') && entrySource.includes('requestIdleCallback'), desc: 'Hydration entry schedules islands by directive' },
+      { test: Boolean(hashedSrc) && Boolean(routeData(hashedSrc)), desc: 'Script tag resolved to content-hashed bundle' },
+      { test: manifest['test/components.mdx'] && manifest['test/components.mdx'].entry === hashedSrc, desc: 'Manifest maps post to its hashed bundle' },
+      { test: html.includes('<h2 class="section">Global components</h2>'), desc: 'Global element override from source/_mdx/components.js' },
+      { test: /data-mdx-component="mdx-cmp-[a-f0-9]+-\d+" data-mdx-hydrate="load" data-mdx-props="{&quot;label&quot;:&quot;new&quot;}"><span class="badge">new<\/span>/.test(html), desc: 'Global component rendered as an island without import' },
+      { test: entrySource.includes('_mdx/components.js') && entrySource.includes('["Badge"]'), desc: 'Global component hydrated from its mapping module' },
+      { test: postChunks.length > 0 && postChunks.some(c => sharedChunks.includes(c)), desc: 'Posts share split chunks listed in the manifest' },
+      { test: postChunks.every(c => routeData(c)), desc: 'Manifest chunks served as routes' },
+      { test: Boolean(routeData(manifest['test/components.mdx'].entry)) && manifest['test/components.mdx'].entry.startsWith('static/mdx/'), desc: 'Post bundle served as a route in assets_dir' },
+      { test: !fs.existsSync(path.join(publicDir, 'assets')) && !fs.existsSync(path.join(publicDir, '.hexo-mdx-entry')), desc: 'Nothing written into the public dir' },
+      { test: compileCache.length >= 2, desc: 'Compiled posts written to .hexo-mdx-cache' },
+      { test: cachedHtml.includes('From the cache'), desc: 'Unchanged post reuses its compiled code' },
+      { test: logs.some(l => l.includes('using cache')) && JSON.stringify(cachedRoutes) === JSON.stringify(routes), desc: 'Unchanged bundles reused from the cache' },
+      { test: !routes.some(r => r.path.endsWith('.map')) && !prodCode.includes('process.env.NODE_ENV') && !prodCode.includes('react-dom.development'), desc: 'Production bundles minified without development code' },
+      { test: devRoutes.some(r => r.path.endsWith('.js.map')) && devEntry.data.toString().includes('//# sourceMappingURL='), desc: 'Development bundles have source maps' },
+      { test: iifeEntry.data.toString().startsWith('(()=>{') && !iifeRoutes.some(r => r.path.includes('/chunks/')), desc: 'mdx.bundle.format iife builds classic scripts without chunks' },
+      { test: /<script src="\/blog\/static\/mdx\/mdx-hydrate-[a-f0-9]+\.js" defer data-mdx-entry=/.test(iifeHtml), desc: 'Classic bundles loaded without type="module"' },
+      { test: formatError !== null && formatError.message.includes('mdx.bundle.format'), desc: 'Unknown bundle format rejected' },
+      { test: Boolean(cardClass) && /<img class="Card_logo_[a-f0-9]{6}"/.test(html), desc: 'CSS module class names resolved during SSR' },
+      { test: /^\/blog\/static\/mdx\/media\/logo-[a-f0-9]{8}\.svg$/.test(logoUrl) && Boolean(logoRoute), desc: 'Imported asset resolved to a hashed URL and routed' },
+      { test: logoStream === path.join(__dirname, 'test', 'components', 'logo.svg'), desc: 'Asset route streams the original file' },
+      { test: stylesHtml.includes('data-mdx-css=') && !stylesHtml.includes('<script'), desc: 'Static-only post links its CSS without a hydration script' },
+      { test: Boolean(hashedCss) && stylesCss.includes(`.${cardClass}`) && stylesCss.includes('.card-title'), desc: 'CSS and CSS modules extracted into the post stylesheet' },
+      { test: stylesCss.includes(`url(${logoUrl})`), desc: 'url() in CSS points at the hashed asset' },
+      { test: postCss.includes(`.${cardClass}`) && prodCode.includes(cardClass), desc: 'Hydration bundle uses the SSR class names' },
+      { test: /data-mdx-hydrate="load" data-mdx-props="[^"]*"><span class="stat">VISITORS<!-- -->: <!-- -->12\.5k<\/span>/.test(html), desc: 'TypeScript component imported through a tsconfig paths alias' },
+      { test: entrySource.includes('components/Stat.tsx') && prodCode.includes('"stat"'), desc: 'TypeScript component bundled for hydration' },
+      { test: data.dependencies.has(path.join(__dirname, 'test', 'components', 'Card.module.css')), desc: 'Imported stylesheet tracked as dependency' },
+      { test: data.dependencies.has(path.join(__dirname, 'test', 'components', 'Greeting.jsx')), desc: 'Component file tracked as dependency' }
+    ];
+
+    console.log('Validation checks:');
+    checks.forEach(({ test, desc }) => {
+      console.log(`  ${test ? '✓' : '✗'} ${desc}`);
+    });
+
+    if (checks.every(c => c.test)) {
+      console.log('\n=== All tests passed! ===\n');
+    } else {
+      console.log('\n=== Some tests failed ===\n');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('\n✗ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    // Same cleanup `hexo clean` runs
+    global.hexo.extend.filter._filters.after_clean();
+    fs.rmSync(publicDir, { recursive: true, force: true });
+    fs.rmSync(path.join(__dirname, 'hexo-renderer-mdx.component-path.json'), { force: true });
+  }
+}
+
+testComponents();
@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+'use strict';
+
+const path = require('path');
+
+// Hexo tag plugins: a plain tag, an async block tag and one listing its arguments
+const Tag = require('hexo/dist/extend/tag');
+const tag = new Tag();
+tag.register('youtube', args => `<iframe src="https://www.youtube.com/embed/${args[0]}"></iframe>`);
+tag.register('note', function(args, content) {
+  return Promise.resolve(`<div class="note ${args[0]}" data-title="${this.title}">${content}</div>`);
+}, { ends: true, async: true });
+tag.register('echo', args => `<ol class="args">${args.map(arg => `<li>${arg}</li>`).join('')}</ol>`);
+
+// Syntax highlighters as registered by Hexo itself
+const { default: Highlight } = require('hexo/dist/extend/syntax_highlight');
+const highlight = new Highlight();
+require('hexo/dist/plugins/highlight')({ extend: { highlight } });
+
+// Mock hexo global object with an `mdx:` config section
+global.hexo = {
+  base_dir: __dirname,
+  config: {
+    title: 'Test Blog',
+    url: 'https://example.com/blog',
+    root: '/blog/',
+    syntax_highlighter: 'highlight.js',
+    highlight: { line_number: true, wrap: true },
+    mdx: {
+      // Compile in a worker; caching is covered by test-components.js
+      workers: 1,
+      cache: false,
+      remark_plugins: [
+        ['./test/plugins/remark-shout.js', { suffix: '!' }],
+        './test/plugins/remark-thread.js'
+      ]
+    }
+  },
+  locals: {
+    toObject: function() {
+      return { posts: [{ title: 'One' }, { title: 'Two' }] };
+    }
+  },
+  extend: {
+    tag,
+    highlight,
+    helper: {
+      list: function() {
+        return {
+          url_for: require('hexo-util').url_for,
+          image_tag: require('hexo/dist/plugins/helper/image_tag'),
+          page_path: function() {
+            return this.url_for(this.path);
+          }
+        };
+      }
+    },
+    filter: {
+      _filters: {},
+      register: function(type, fn) {
+        this._filters[type] = fn;
+      }
+    },
+    renderer: {
+      register: function(ext, outputExt, fn, sync) {
+        console.log(`✓ Renderer registered for .${ext} files`);
+        this._renderer = fn;
+      }
+    }
+  }
+};
+
+// Load the renderer
+const { getMdxConfig } = require('./index.js');
+
+// Test the `mdx:` config block and plugin pipeline
+async function testConfig() {
+  console.log('\n=== Testing mdx config ===\n');
+
+  try {
+    const mdxPath = path.join(__dirname, 'test', 'basic.mdx');
+    const html = await global.hexo.extend.renderer._renderer({ text: '', path: mdxPath });
+
+    // Hexo runs before_post_render with the post data before calling the renderer
+    const localsPath = path.join(__dirname, 'test', 'locals.mdx');
+    global.hexo.extend.filter._filters.before_post_render({ full_source: localsPath, layout: 'post' });
+    const localsHtml = await global.hexo.extend.renderer._renderer({ text: '', path: localsPath });
+
+    const helpersPath = path.join(__dirname, 'test', 'helpers.mdx');
+    global.hexo.extend.filter._filters.before_post_render({ full_source: helpersPath, path: '2026/01/06/helpers/' });
+    const helpersHtml = await global.hexo.extend.renderer._renderer({ text: '', path: helpersPath });
+
+    const tagsPath = path.join(__dirname, 'test', 'tags.mdx');
+    global.hexo.extend.filter._filters.before_post_render({ full_source: tagsPath, title: 'Tag Plugins' });
+    const tagsHtml = await global.hexo.extend.renderer._renderer({ text: '', path: tagsPath });
+
+    const highlightPath = path.join(__dirname, 'test', 'highlight.mdx');
+    const highlightHtml = await global.hexo.extend.renderer._renderer({ text: '', path: highlightPath });
+
+    // Parity mode, followed by Hexo's own excerpt filter as run after rendering a post
+    global.hexo.config.mdx.parity = true;
+    const parityPath = path.join(__dirname, 'test', 'parity.mdx');
+    const parityPost = { content: await global.hexo.extend.renderer._renderer({ text: '', path: parityPath }) };
+    require('hexo/dist/plugins/filter/after_post_render/excerpt')(parityPost);
+    delete global.hexo.config.mdx.parity;
+
+    global.hexo.config.mdx.math = true;
+    const mathHtml = await global.hexo.extend.renderer._renderer({ text: '', path: path.join(__dirname, 'test', 'math.mdx') });
+    const mathPage = global.hexo.extend.filter._filters['after_render:html'](
+      `<html><head><title>Index</title></head><body>${mathHtml}${mathHtml}</body></html>`
+    );
+    let mathError = null;
+    try {
+      await global.hexo.extend.renderer._renderer({ text: '', path: path.join(__dirname, 'test', 'math-error.mdx') });
+    } catch (err) {
+      mathError = err;
+    }
+    delete global.hexo.config.mdx.math;
+
+    // During `hexo server` a broken post renders an error page instead of stopping Hexo
+    const syntaxErrorPath = path.join(__dirname, 'test', 'syntax-error.mdx');
+    let syntaxError = null;
+    try {
+      await global.hexo.extend.renderer._renderer({ text: '', path: syntaxErrorPath });
+    } catch (err) {
+      syntaxError = err;
+    }
+    global.hexo.env = { cmd: 'server' };
+    let overlayHtml;
+    try {
+      overlayHtml = await global.hexo.extend.renderer._renderer({ text: '', path: syntaxErrorPath });
+    } finally {
+      delete global.hexo.env;
+    }
+
+    // A plugin that cannot run in a worker falls back to Hexo's process
+    const warnings = [];
+    const originalWarn = console.warn;
+    console.warn = (...args) => warnings.push(args.join(' '));
+    global.hexo.config.mdx.remark_plugins[1] = ['./test/plugins/remark-thread.js', { mainThreadOnly: true }];
+    let fallbackHtml;
+    try {
+      fallbackHtml = await global.hexo.extend.renderer._renderer({ text: '', path: mdxPath });
+    } finally {
+      console.warn = originalWarn;
+      global.hexo.config.mdx.remark_plugins[1] = './test/plugins/remark-thread.js';
+    }
+
+    let unresolvedError = null;
+    global.hexo.config.mdx.rehype_plugins = ['rehype-does-not-exist'];
+    try {
+      require('./index.js').validateMdxConfig(getMdxConfig());
+    } catch (err) {
+      unresolvedError = err;
+    }
+    delete global.hexo.config.mdx.rehype_plugins;
+
+    const checks = [
+      { test: html.includes('<h1>HELLO MDX!!</h1>'), desc: 'Local remark plugin applied with options' },
+      { test: html.includes('<li'), desc: 'Default markdown still rendered' },
+      { test: localsHtml.includes('<h1>Front Matter and Locals</h1>'), desc: 'Front matter available as `frontmatter`' },
+      { test: localsHtml.includes('Updated on <!-- -->2026-02-01'), desc: 'Front matter values parsed like Hexo' },
+      { test: localsHtml.includes('Page layout: <!-- -->post'), desc: 'Hexo page data available as `props.page`' },
+      { test: localsHtml.includes('Test Blog<!-- --> has <!-- -->2<!-- --> posts'), desc: 'Site locals and config available' },
+      { test: helpersHtml.includes('<a href="/blog/about/">About</a>'), desc: 'Hexo helpers callable as functions' },
+      { test: helpersHtml.includes('<img src="/blog/images/logo.png" alt="Logo">'), desc: 'Hexo helpers usable as components' },
+      { test: helpersHtml.includes('Page path: <!-- -->/blog/2026/01/06/helpers/'), desc: 'Helpers bound to the current page' },
+      { test: tagsHtml.includes('<iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ"></iframe>'), desc: 'Hexo tag plugins rendered through <Tag>' },
+      { test: tagsHtml.includes('<div class="note info" data-title="Tag Plugins">Hello {{ name }}</div>'), desc: 'Async block tags awaited with literal body' },
+      {
+        test: tagsHtml.includes('<ol class="args"><li>a b</li><li>c</li><li>say "hi"</li><li>it\'s</li><li>C:\\new folder</li></ol>'),
+        desc: 'Tag arguments with spaces, quotes and backslashes kept whole'
+      },
+      { test: highlightHtml.includes('<figure class="highlight js">'), desc: 'Code blocks rendered by the site syntax highlighter' },
+      { test: highlightHtml.includes('<figcaption><span>app.js</span></figcaption>'), desc: 'title="..." used as the code block caption' },
+      { test: highlightHtml.includes('<td class="gutter">') && /<span class="line marked">.*?const<\/span> b/.test(highlightHtml), desc: 'Line numbers and mark:2-3 applied' },
+      { test: highlightHtml.includes('<pre><code class="language-text">{plain}\n</code></pre>'), desc: 'highlight:false leaves the block to MDX' },
+      { test: parityPost.content.includes('<table>') && parityPost.content.includes('<del>old</del>'), desc: 'Parity mode renders GFM tables and strikethrough' },
+      { test: parityPost.content.includes('<a href="https://hexo.io">https://hexo.io</a>'), desc: 'Parity mode autolinks URLs' },
+      { test: parityPost.content.includes('type="checkbox"') && parityPost.content.includes('data-footnotes'), desc: 'Parity mode renders task lists and footnotes' },
+      { test: parityPost.excerpt.includes('<h1 id="INTRO">INTRO!</h1>'), desc: 'Headings get ids like hexo-renderer-marked' },
+      { test: parityPost.content.includes('<h2 id="DETAILS">') && parityPost.content.includes('<h2 id="DETAILS-1">'), desc: 'Duplicate heading ids are numbered' },
+      { test: !parityPost.excerpt.includes('DETAILS') && parityPost.content.includes('<span id="more"></span>'), desc: '{/* more */} sets the excerpt' },
+      { test: !html.includes(' id="'), desc: 'Parity mode is off by default' },
+      { test: mathHtml.includes('<span class="katex">') && mathHtml.includes('<span class="katex-display">'), desc: 'Inline and display math rendered with KaTeX' },
+      { test: mathHtml.startsWith('<link rel="stylesheet" href="https://cdn.jsdelivr.net/npm/katex@'), desc: 'KaTeX stylesheet emitted with math' },
+      { test: mathPage.split('data-mdx-katex').length === 2 && /<link [^>]+><\/head>/.test(mathPage), desc: 'One KaTeX stylesheet per page, in <head>' },
+      { test: !html.includes('katex'), desc: 'Math is off by default' },
+      {
+        test: mathError !== null && mathError.message.includes(`math-error.mdx:7:9: Invalid math`),
+        desc: 'Math errors reported with file and line'
+      },
+      {
+        test: syntaxError !== null && syntaxError.message.includes('syntax-error.mdx:8:16') && /> {1,2}8 \| The sum is \{1 \+\}\.\n {5}\| {16}\^/.test(syntaxError.frame),
+        desc: 'Syntax errors point into the file, below its front matter, with a code frame'
+      },
+      {
+        test: /^<div data-mdx-error="[a-f0-9]+"/.test(overlayHtml) && overlayHtml.includes('The sum is {1 +}.') && overlayHtml.includes('location.reload()'),
+        desc: 'hexo server shows an error page that reloads once the post is fixed'
+      },
+      { test: html.includes('<p>Compiled in a worker</p>') && tagsHtml.includes('<p>Compiled in a worker</p>'), desc: 'Posts compiled in the worker pool' },
+      {
+        test: fallbackHtml.includes('<p>Compiled in the main thread</p>') && warnings.some(w => w.includes('basic.mdx') && w.includes('needs the main thread')),
+        desc: 'Worker failure falls back to compiling in Hexo\'s process'
+      },
+      { test: getMdxConfig().rehype_plugins.length === 0, desc: 'Missing plugin lists default to empty' },
+      {
+        test: unresolvedError !== null && unresolvedError.message.includes('rehype-does-not-exist'),
+        desc: 'Unresolvable plugin reported by name'
+      }
+    ];
+
+    console.log('Validation checks:');
+    checks.forEach(({ test, desc }) => {
+      console.log(`  ${test ? '✓' : '✗'} ${desc}`);
+    });
+
+    if (checks.every(c => c.test)) {
+      console.log('\n=== All tests passed! ===\n');
+    } else {
+      console.log('\n=== Some tests failed ===\n');
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('\n✗ Test failed:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+testConfig();
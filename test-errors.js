@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Bundles are served as routes, so this public dir must stay empty
+const publicDir = fs.mkdtempSync(path.join(__dirname, 'test', '.public-'));
+
+// Mock hexo global object; `on` keeps the exit handler so the error summary can be tested
+global.hexo = {
+  base_dir: __dirname,
+  public_dir: publicDir,
+  source_dir: path.join(__dirname, 'test'),
+  config: {
+    url: 'https://example.com',
+    root: '/',
+    mdx: {
+      cache: false
+    }
+  },
+  _events: {},
+  on: function(event, fn) {
+    this._events[event] = fn;
+  },
+  extend: {
+    generator: {
+      register: function(name, fn) {
+        this._generator = fn;
+      }
+    },
+    filter: {
+      _filters: {},
+      register: function(type, fn) {
+        this._filters[type] = fn;
+      }
+    },
+    renderer: {
+      register: function(ext, outputExt, fn, sync) {
+        console.log(`✓ Renderer registered for .${ext} files`);
+        this._renderer = fn;
+      }
+    }
+  }
+};
+
+// Load the renderer
+const { getMdxConfig, validateMdxConfig } = require('./index.js');
+
+// Run fn with console.log/warn/error captured
+async function capture(fn) {
+  const logs = [];
+  const originals = ['log', 'warn', 'error'].map(level => [level, console[level]]);
+  originals.forEach(([level]) => {
+    console[level] = (...args) => logs.push(`${level}: ${args.join(' ')}`);
+  });
+  try {
+    return { result: await fn(), logs };
+  } catch (err) {
+    return { error: err, logs };
+  } finally {
+    originals.forEach(([level, original]) => {
+      console[level] = original;
+    });
+  }
+}
+
+// Test mdx.on_error: fail, warn and fallback
+async function testErrors() {
+  console.log('\n=== Testing mdx.on_error ===\n');
+
+  const mdx = global.hexo.config.mdx;
+  const filters = global.hexo.extend.filter._filters;
+  const render = file => global.hexo.extend.renderer._renderer({ text: '', path: path.join(__dirname, 'test', file) });
+  const generate = () => {
+    filters.before_generate();
+    return global.hexo.extend.generator._generator();
+  };
+  const exit = () => capture(() => global.hexo._events.exit());
+
+  try {
+    // fail (default): a throwing component fails the post, and the build exits non-zero
+    const failed = await capture(() => render('on-error.mdx'));
+    const failedExit = await exit();
+    const failedExitCode = process.exitCode;
+    process.exitCode = undefined;
+
+    // warn: the component is replaced by the fallback and logged
+    mdx.on_error = 'warn';
+    const warned = await capture(() => render('on-error.mdx'));
+    const html = warned.result;
+    const { result: routes } = await capture(generate);
+    const page = filters['after_render:html'](`<html><body>${html}</body></html>`);
+    const entryDir = path.join(__dirname, '.hexo-mdx-entry');
+    const entrySource = fs.readdirSync(entryDir).map(f => fs.readFileSync(path.join(entryDir, f), 'utf8')).join('\n');
+    const code = routes.filter(r => r.path.endsWith('.js')).map(r => r.data.toString()).join('\n');
+    const warnedPost = await capture(() => render('syntax-error.mdx'));
+    const warnedExit = await exit();
+    const warnedExitCode = process.exitCode;
+
+    // fallback: same output without logging each error; a failed bundle ships no scripts
+    mdx.on_error = 'fallback';
+    mdx.error_fallback = '<p class="oops">Not available</p>';
+    mdx.bundle = { alias: { react: './test/no-such-react' } };
+    const fellBack = await capture(() => render('on-error.mdx'));
+    const brokenBundle = await capture(generate);
+    const fallbackPage = filters['after_render:html'](`<html><body>${fellBack.result}</body></html>`);
+    const fallbackExit = await exit();
+    const fallbackExitCode = process.exitCode;
+
+    // fail: a failed bundle stops `hexo generate`
+    mdx.on_error = 'fail';
+    const failedBundle = await capture(generate);
+    const failedBundleExit = await exit();
+    const failedBundleExitCode = process.exitCode;
+    process.exitCode = undefined;
+    delete mdx.bundle;
+    delete mdx.error_fallback;
+
+    let policyError = null;
+    try {
+      validateMdxConfig({ ...getMdxConfig(), on_error: 'ignore' });
+    } catch (err) {
+      policyError = err;
+    }
+
+    console.log('Output HTML (warn):');
+    console.log('---');
+    console.log(html);
+    console.log('---\n');
+
+    const fallback = '<p class="mdx-error">This content could not be rendered.</p>';
+    const checks = [
+      {
+        test: failed.error && failed.error.message.includes('on-error.mdx') && failed.error.message.includes('Broken on purpose'),
+        desc: 'fail: a throwing component fails the post'
+      },
+      {
+        test: failedExitCode === 1 && failedExit.logs.some(l => l.startsWith('error: ERROR 1 MDX error(s) in 1 file(s)') && l.includes('Broken on purpose')),
+        desc: 'fail: Hexo exits non-zero with a summary of the errors'
+      },
+      { test: html.includes(`<h1>Error handling</h1>\n${fallback}`), desc: 'warn: a static component that throws renders the fallback' },
+      {
+        test: /<div data-mdx-component="[^"]+" data-mdx-hydrate="load" data-mdx-fallback="">/.test(html) && html.includes(`data-mdx-fallback="">${fallback}</div>`),
+        desc: 'warn: an island that throws renders the fallback and is rendered, not hydrated, in the browser'
+      },
+      { test: html.includes('<button class="greeting">Hello, <!-- -->world'), desc: 'warn: the rest of the post renders' },
+      { test: html.includes('<span class="counted">Rendered <!-- -->1<!-- --> time(s)</span>'), desc: 'warn: each component rendered once' },
+      {
+        test: warned.logs.filter(l => l.startsWith('warn: WARN') && l.includes('<Broken> failed to render: Broken on purpose')).length === 2,
+        desc: 'warn: each failure logged with the post and component'
+      },
+      { test: page.includes('<script type="module" src="/assets/mdx-hydrate-') && code.length > 0, desc: 'warn: the post still hydrates' },
+      {
+        test: entrySource.includes('ErrorBoundary') && entrySource.includes(JSON.stringify(fallback)) && code.includes('getDerivedStateFromError'),
+        desc: 'Each island hydrates inside an error boundary'
+      },
+      { test: warnedPost.result === fallback, desc: 'warn: a post that fails to compile renders the fallback' },
+      {
+        test: warnedExitCode === undefined && warnedExit.logs.some(l => l.startsWith('warn: WARN  3 MDX error(s) in 2 file(s)') && l.includes('syntax-error.mdx:8:16')),
+        desc: 'warn: Hexo exits with a warning summary'
+      },
+      {
+        test: fellBack.result.split('<p class="oops">Not available</p>').length === 3 && !fellBack.logs.some(l => l.includes('Broken on purpose')),
+        desc: 'fallback: failures render mdx.error_fallback without a warning each'
+      },
+      {
+        test: brokenBundle.result && brokenBundle.result.every(r => !r.path.endsWith('.js')) && !fallbackPage.includes('data-mdx-entry') && fallbackPage.includes('<button class="greeting">'),
+        desc: 'fallback: a failed bundle ships the server-rendered page without scripts'
+      },
+      {
+        test: fallbackExitCode === undefined && fallbackExit.logs.some(l => l.includes('Hydration bundle failed') && l.includes('no-such-react')),
+        desc: 'fallback: the failed bundle is listed when Hexo exits'
+      },
+      {
+        test: failedBundle.error && failedBundle.error.message.startsWith('Hydration bundle failed') && failedBundleExitCode === 1 &&
+          failedBundleExit.logs.some(l => l.includes('Hydration bundle failed')),
+        desc: 'fail: a failed bundle stops the build and exits non-zero'
+      },
+      { test: policyError !== null && policyError.message.includes('mdx.on_error must be fail, warn, fallback'), desc: 'Unknown mdx.on_error rejected' }
+    ];
+
+    console.log('Validation checks:');
+    checks.forEach(({ test, desc }) => {
+      console.log(`  ${test ? '✓' : '✗'} ${desc}`);
+    });
+
+    if (checks.every(c => c.test)) {
+      console.log('\n=== All tests passed! ===\n');
+    } else {
+      console.log('\n=== Some tests failed ===\n');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('\n✗ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    // Same cleanup `hexo clean` runs
+    filters.after_clean();
+    fs.rmSync(publicDir, { recursive: true, force: true });
+    fs.rmSync(path.join(__dirname, 'hexo-renderer-mdx.component-path.json'), { force: true });
+  }
+}
+
+testErrors();
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+'use strict';
+
+const path = require('path');
+const Hexo = require('hexo');
+
+// A real Hexo instance; the renderer is loaded the way Hexo loads plugins (in a vm context),
+// not with require, so anything that only works in a Node module shows up here
+const hexo = new Hexo(__dirname, { silent: true });
+
+// Test the renderer as loaded by Hexo's own loadPlugin
+async function testHexo() {
+  console.log('\n=== Testing the renderer loaded by Hexo ===\n');
+
+  try {
+    // ES module plugins (remark-gfm, remark-math) are imported from inside the vm context
+    hexo.config.mdx = { remark_plugins: ['remark-gfm'], math: true, cache: false };
+    await hexo.loadPlugin(require.resolve('./index.js'));
+    const mdxPath = path.join(__dirname, 'test', 'hexo.mdx');
+    const html = await hexo.render.render({ path: mdxPath });
+
+    hexo.config.mdx = { parity: true, math: true, cache: false };
+    const parityHtml = await hexo.render.render({ path: mdxPath });
+
+    // A post that failed in `hexo server` was saved to db.json with the error page as its
+    // content; the next generation renders it again instead of publishing the error page
+    hexo.env.cmd = 'server';
+    const originalError = console.error;
+    console.error = () => {};
+    let overlay;
+    try {
+      overlay = await hexo.render.render({ path: path.join(__dirname, 'test', 'syntax-error.mdx') });
+    } finally {
+      console.error = originalError;
+      hexo.env.cmd = '';
+    }
+    const Post = hexo.model('Post');
+    const brokenPost = await Post.insert({ source: '_posts/syntax-error.mdx', slug: 'syntax-error', content: overlay });
+    const healthyPost = await Post.insert({ source: '_posts/hexo.mdx', slug: 'hexo', content: html });
+    await hexo.execFilter('before_generate', null, { context: hexo });
+    const brokenContent = Post.findById(brokenPost._id).content;
+    const healthyContent = Post.findById(healthyPost._id).content;
+
+    // An unresolvable plugin does not stop the plugin from loading (Hexo would only log the
+    // error and publish the site without its MDX posts) but fails the generation
+    const broken = new Hexo(__dirname, { silent: true });
+    broken.config.mdx = { remark_plugins: ['remark-nope'] };
+    let loadError = null;
+    let generateError = null;
+    try {
+      await broken.loadPlugin(require.resolve('./index.js'));
+    } catch (err) {
+      loadError = err;
+    }
+    try {
+      await broken.execFilter('before_generate', null, { context: broken });
+    } catch (err) {
+      generateError = err;
+    }
+    const generateExitCode = process.exitCode;
+    process.exitCode = undefined;
+
+    // `hexo s`: the component watcher starts once hexo-server registered the `server` console
+    const server = new Hexo(__dirname, { silent: true, _: ['s'] });
+    server.config.mdx = { cache: false };
+    await server.loadPlugin(require.resolve('./index.js'));
+    server.extend.console.register('server', 'Start a server', () => {});
+    const logs = [];
+    const originals = ['log', 'warn'].map(level => [level, console[level]]);
+    originals.forEach(([level]) => {
+      console[level] = (...args) => logs.push(args.join(' '));
+    });
+    try {
+      await server.execFilter('after_init', null, { context: server });
+    } finally {
+      originals.forEach(([level, original]) => {
+        console[level] = original;
+      });
+      server.emit('exit');
+    }
+
+    const checks = [
+      { test: html.includes('<h1>Loaded by Hexo</h1>'), desc: 'Renderer registered through Hexo\'s loadPlugin' },
+      { test: html.includes('<table>') && html.includes('<td>remark-gfm</td>'), desc: 'ES module remark plugin from mdx.remark_plugins applied' },
+      { test: html.includes('<span class="katex">'), desc: 'mdx.math loads remark-math' },
+      { test: parityHtml.includes('<table>') && parityHtml.includes('<h1 id="Loaded-by-Hexo">'), desc: 'mdx.parity loads remark-gfm' },
+      {
+        test: overlay.startsWith('<div data-mdx-error=') && brokenContent == null && healthyContent === html,
+        desc: 'Error page of hexo server not kept as post content for the next generation'
+      },
+      {
+        test: loadError === null && typeof broken.extend.renderer.get('mdx') === 'function',
+        desc: 'Renderer registered even with an invalid mdx config'
+      },
+      {
+        test: generateError !== null && generateError.message.includes('remark-nope') && generateExitCode === 1,
+        desc: 'Unresolvable plugin fails the generation with a non-zero exit code'
+      },
+      {
+        test: logs.some(l => l.startsWith('INFO  Watching')) && !logs.some(l => l.includes('warning')),
+        desc: 'Component watcher started by `hexo s`'
+      }
+    ];
+
+    console.log('Validation checks:');
+    checks.forEach(({ test, desc }) => {
+      console.log(`  ${test ? '✓' : '✗'} ${desc}`);
+    });
+
+    if (checks.every(c => c.test)) {
+      console.log('\n=== All tests passed! ===\n');
+    } else {
+      console.log('\n=== Some tests failed ===\n');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('\n✗ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    // Same cleanup `hexo clean` runs
+    await hexo.execFilter('after_clean', null, { context: hexo });
+  }
+}
+
+testHexo();
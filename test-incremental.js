@@ -0,0 +1,234 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Hexo = require('hexo');
+
+// Bundles are served as routes, so this public dir must stay empty
+const publicDir = fs.mkdtempSync(path.join(__dirname, 'test', '.public-'));
+
+// Mock hexo global object
+global.hexo = {
+  base_dir: __dirname,
+  public_dir: publicDir,
+  source_dir: path.join(__dirname, 'test'),
+  config: {
+    url: 'https://example.com',
+    root: '/',
+    mdx: {}
+  },
+  extend: {
+    generator: {
+      register: function(name, fn) {
+        this._generator = fn;
+      }
+    },
+    filter: {
+      _filters: {},
+      register: function(type, fn) {
+        this._filters[type] = fn;
+      }
+    },
+    renderer: {
+      register: function(ext, outputExt, fn, sync) {
+        this._renderer = fn;
+      }
+    }
+  }
+};
+
+// Load the renderer
+require('./index.js');
+
+// Test a second `hexo generate`, where Hexo serves unchanged posts from db.json without
+// calling the renderer: everything the generator routes must survive the first process
+async function testIncremental() {
+  console.log('\n=== Testing incremental builds ===\n');
+
+  const quiet = async fn => {
+    const originalLog = console.log;
+    console.log = () => {};
+    try {
+      return await fn();
+    } finally {
+      console.log = originalLog;
+    }
+  };
+
+  // A post deleted between the runs
+  const deletedPath = path.join(__dirname, 'test', 'deleted.mdx');
+
+  try {
+    // First run: the posts are rendered
+    fs.writeFileSync(deletedPath, `import Counter from './components/Counter';
+
+<Counter start={2} client:load />
+`);
+    const html = await global.hexo.extend.renderer._renderer({ text: '', path: path.join(__dirname, 'test', 'incremental.mdx') });
+    const deletedHtml = await global.hexo.extend.renderer._renderer({ text: '', path: deletedPath });
+    const firstRoutes = await quiet(() => global.hexo.extend.generator._generator());
+    const firstManifest = JSON.parse(firstRoutes.find(r => r.path === 'assets/mdx-manifest.json').data);
+    fs.rmSync(deletedPath);
+
+    // Second run: a new process, the post comes from Hexo's cache
+    delete require.cache[require.resolve('./index.js')];
+    require('./index.js');
+    const routes = await quiet(() => global.hexo.extend.generator._generator());
+
+    const logoUrl = (html.match(/<img class="logo" src="([^"]+)"/) || [])[1] || '';
+    const logoRoute = routes.find(r => `/${r.path}` === logoUrl);
+    let logoStream = null;
+    if (logoRoute) {
+      const stream = logoRoute.data();
+      logoStream = stream.path;
+      stream.destroy();
+    }
+
+    const hash = (html.match(/data-mdx-entry="([a-f0-9]+)"/) || [])[1];
+    const scriptUrl = (html.match(/<script [^>]*src="([^"]+)"[^>]*data-mdx-entry=/) || [])[1] || '';
+    const manifestRoute = routes.find(r => r.path === 'assets/mdx-manifest.json');
+    const manifest = manifestRoute ? JSON.parse(manifestRoute.data) : {};
+    const bundled = manifest['test/incremental.mdx'];
+    const bundleRoute = bundled && routes.find(r => r.path === bundled.entry);
+    const scriptRoute = routes.find(r => `/${r.path}` === scriptUrl);
+    const deletedHash = (deletedHtml.match(/data-mdx-entry="([a-f0-9]+)"/) || [])[1];
+    const deletedRoutes = routes.filter(r => r.path.includes(`mdx-hydrate-${deletedHash}`));
+    const entryFiles = fs.readdirSync(path.join(__dirname, '.hexo-mdx-entry'));
+    const mappingRoute = routes.find(r => r.path === 'hexo-renderer-mdx.component-path.json');
+    const mapping = mappingRoute ? JSON.parse(mappingRoute.data) : {};
+
+    const checks = [
+      { test: /^\/assets\/media\/logo-[a-f0-9]{8}\.svg$/.test(logoUrl) && firstRoutes.some(r => `/${r.path}` === logoUrl), desc: 'Asset imported by a static component routed' },
+      {
+        test: logoStream === path.join(__dirname, 'test', 'components', 'logo.svg'),
+        desc: 'Asset still routed when the post is not rendered again'
+      },
+      { test: Boolean(bundled) && bundled.id === hash, desc: 'Manifest still keyed by the MDX source' },
+      {
+        test: scriptUrl === `/assets/mdx-hydrate-${hash}.js` && Boolean(scriptRoute) && Boolean(bundleRoute) &&
+          Buffer.compare(Buffer.from(scriptRoute.data), Buffer.from(bundleRoute.data)) === 0,
+        desc: 'Script URL in the post content serves the bundle'
+      },
+      {
+        test: Boolean(firstManifest['test/deleted.mdx']) && !manifest['test/deleted.mdx'] && deletedRoutes.length === 0 &&
+          !entryFiles.some(file => file.includes(deletedHash)),
+        desc: 'Bundle and entry of a deleted post dropped'
+      },
+      {
+        test: (mapping[path.join(__dirname, 'test', 'components', 'Logo.jsx')] || []).includes(path.join(__dirname, 'test', 'incremental.mdx')),
+        desc: 'Component-path JSON still routed with the components of cached posts'
+      }
+    ];
+
+    console.log('Validation checks:');
+    checks.forEach(({ test, desc }) => {
+      console.log(`  ${test ? '✓' : '✗'} ${desc}`);
+    });
+
+    if (checks.every(c => c.test)) {
+      console.log('\n=== All tests passed! ===\n');
+    } else {
+      console.log('\n=== Some tests failed ===\n');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('\n✗ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(deletedPath, { force: true });
+    // Same cleanup `hexo clean` runs
+    global.hexo.extend.filter._filters.after_clean();
+    fs.rmSync(publicDir, { recursive: true, force: true });
+    fs.rmSync(path.join(__dirname, 'hexo-renderer-mdx.component-path.json'), { force: true });
+  }
+}
+
+// Run `hexo generate` on a site with a real Hexo (db.json is kept between runs, as in a
+// project) and return the content of its post and the number of MDX renders
+async function generateSite(siteDir) {
+  const site = new Hexo(siteDir, { silent: true });
+  await site.init();
+  site.config.mdx = { cache: false };
+  await site.loadPlugin(require.resolve('./index.js'));
+  const renderer = site.extend.renderer.get('mdx');
+  let renders = 0;
+  site.extend.renderer.register('mdx', 'html', data => {
+    renders++;
+    return renderer(data);
+  }, { disableNunjucks: true });
+  await site.load();
+  const post = site.model('Post').findOne({ source: '_posts/version.mdx' });
+  const content = post ? post.content : '';
+  await site.exit();
+  // A new process would load the components again
+  Object.keys(require.cache).filter(file => file.startsWith(siteDir)).forEach(file => delete require.cache[file]);
+  return { content, renders };
+}
+
+// Test a second `hexo generate` after a component changed: Hexo only renders posts whose own
+// source changed, so the renderer has the posts importing the component rendered again
+async function testComponentEdit() {
+  console.log('\n=== Testing component edits between builds ===\n');
+
+  const siteDir = fs.mkdtempSync(path.join(__dirname, 'test', '.site-'));
+  const componentPath = path.join(siteDir, 'components', 'Version.jsx');
+  const writeComponent = version => fs.writeFileSync(componentPath, `export default function Version() {
+  return <p className="version">${version}</p>;
+}
+`);
+
+  try {
+    // Hexo only saves db.json in a project (a package.json with a `hexo` field)
+    fs.writeFileSync(path.join(siteDir, 'package.json'), JSON.stringify({ name: 'site', hexo: { version: Hexo.version } }));
+    fs.mkdirSync(path.dirname(componentPath), { recursive: true });
+    fs.mkdirSync(path.join(siteDir, 'source', '_posts'), { recursive: true });
+    fs.writeFileSync(path.join(siteDir, 'source', '_posts', 'version.mdx'), `---
+title: Version
+---
+
+import Version from '../../components/Version';
+
+<Version />
+`);
+    writeComponent('VERSION ONE');
+    const first = await generateSite(siteDir);
+    const unchanged = await generateSite(siteDir);
+    writeComponent('VERSION TWO');
+    const edited = await generateSite(siteDir);
+    fs.rmSync(path.join(siteDir, 'source', '_posts', 'version.mdx'));
+    await generateSite(siteDir);
+    const savedData = fs.readdirSync(path.join(siteDir, '.hexo-mdx-entry'));
+
+    const checks = [
+      { test: first.content.includes('<p class="version">VERSION ONE</p>'), desc: 'Post rendered with its component' },
+      { test: unchanged.renders === 0 && unchanged.content === first.content, desc: 'Post served from db.json while its component is unchanged' },
+      {
+        test: edited.renders === 1 && edited.content.includes('<p class="version">VERSION TWO</p>'),
+        desc: 'Post rendered again when its component changed'
+      },
+      { test: savedData.length === 0, desc: 'Saved dependencies of a deleted post removed' }
+    ];
+
+    console.log('Validation checks:');
+    checks.forEach(({ test, desc }) => {
+      console.log(`  ${test ? '✓' : '✗'} ${desc}`);
+    });
+
+    if (checks.every(c => c.test)) {
+      console.log('\n=== All tests passed! ===\n');
+    } else {
+      console.log('\n=== Some tests failed ===\n');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('\n✗ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    fs.rmSync(siteDir, { recursive: true, force: true });
+  }
+}
+
+testIncremental().then(testComponentEdit);
@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const Hexo = require('hexo');
+
+// Bundles are served as routes, so this public dir must stay empty
+const publicDir = fs.mkdtempSync(path.join(__dirname, 'test', '.public-'));
+
+// Mock hexo global object running `hexo server`; `on` keeps the event handlers
+global.hexo = {
+  base_dir: __dirname,
+  public_dir: publicDir,
+  source_dir: path.join(__dirname, 'test'),
+  env: { cmd: 'server' },
+  config: {
+    url: 'https://example.com/blog',
+    root: '/blog/',
+    mdx: {
+      cache: false
+    }
+  },
+  _events: {},
+  on: function(event, fn) {
+    this._events[event] = fn;
+  },
+  extend: {
+    generator: {
+      register: function(name, fn) {
+        this._generator = fn;
+      }
+    },
+    filter: {
+      _filters: {},
+      register: function(type, fn) {
+        this._filters[type] = fn;
+      }
+    },
+    renderer: {
+      register: function(ext, outputExt, fn, sync) {
+        console.log(`✓ Renderer registered for .${ext} files`);
+        this._renderer = fn;
+      }
+    }
+  }
+};
+
+// Load the renderer
+require('./index.js');
+
+// Connect app and a browser connected to the live reload endpoint
+function connectClient() {
+  const app = { stack: [], use: function(route, handle) { this.stack.push({ route, handle }); } };
+  global.hexo.extend.filter._filters.server_middleware(app);
+  const req = new EventEmitter();
+  const res = {
+    chunks: [],
+    writeHead: function(status, headers) {
+      this.status = status;
+      this.headers = headers;
+    },
+    write: function(chunk) {
+      this.chunks.push(chunk);
+    },
+    end: function() {
+      this.ended = true;
+    }
+  };
+  app.stack[0].handle(req, res);
+  return { app, req, res };
+}
+
+// Test live reload during `hexo server`
+async function testLiveReload() {
+  console.log('\n=== Testing live reload ===\n');
+
+  const render = file => global.hexo.extend.renderer._renderer({ text: '', path: path.join(__dirname, 'test', file) });
+  const generate = async () => {
+    const routes = await global.hexo.extend.generator._generator();
+    global.hexo._events.generateAfter();
+    return routes;
+  };
+  const reloads = res => res.chunks.filter(chunk => chunk.startsWith('event: reload')).map(chunk => JSON.parse(chunk.split('data: ')[1]));
+
+  try {
+    const { app, req, res } = connectClient();
+
+    // First generation: both posts are new
+    const basicPath = path.join(__dirname, 'test', 'basic.mdx');
+    const componentsPath = path.join(__dirname, 'test', 'components-shared.mdx');
+    const basicHtml = await render('basic.mdx');
+    await render('components-shared.mdx');
+    await generate();
+    const first = reloads(res);
+
+    // The client is added to pages as they are served, for the MDX posts each page shows
+    const layout = (body, page) => global.hexo.extend.filter._filters['after_render:html'](`<html><body>${body}</body></html>`, { page });
+    const postPage = layout(basicHtml, { full_source: basicPath });
+    const indexPage = layout('', { posts: [{ full_source: componentsPath }, { full_source: '/blog/source/_posts/hello.md' }, { full_source: basicPath }] });
+    const markdownPage = layout('<p>Hello</p>', { full_source: '/blog/source/_posts/hello.md' });
+    const hashes = page => JSON.parse(page.match(/var posts = (\[[^\]]*\]);/)[1]);
+    const [basicHash] = hashes(postPage);
+    const componentsHash = hashes(indexPage)[0];
+
+    // Nothing re-rendered and the bundle is unchanged: no reload
+    await generate();
+    const idle = reloads(res).length;
+
+    // Editing the post re-renders it
+    await render('basic.mdx');
+    await generate();
+    const edited = reloads(res);
+
+    // A closed tab is forgotten; open ones are closed when Hexo exits
+    req.emit('close');
+    await render('basic.mdx');
+    await generate();
+    const afterClose = reloads(res).length;
+    const open = connectClient();
+    global.hexo._events.exit();
+
+    const checks = [
+      {
+        test: app.stack[0].route === '/blog/__mdx_live_reload' && res.headers['Content-Type'] === 'text/event-stream',
+        desc: 'Server-sent events endpoint under the site root'
+      },
+      {
+        test: /<script data-mdx-live-reload>[\s\S]*new EventSource\("\/blog\/__mdx_live_reload"\)[\s\S]*<\/script><\/body><\/html>$/.test(postPage),
+        desc: 'Live reload client added to pages with MDX posts in hexo server'
+      },
+      { test: !basicHtml.includes('__mdx_live_reload'), desc: 'Post content, which Hexo caches, has no live reload client' },
+      { test: hashes(indexPage).length === 2 && hashes(indexPage)[1] === basicHash, desc: 'Index pages reload for each MDX post they list' },
+      { test: markdownPage === '<html><body><p>Hello</p></body></html>', desc: 'Pages without MDX posts are left alone' },
+      {
+        test: first.length === 1 && first[0].includes(basicHash) && first[0].includes(componentsHash),
+        desc: 'One reload event per generation, naming the rebuilt posts'
+      },
+      { test: idle === 1, desc: 'No reload when nothing was rebuilt' },
+      { test: edited.length === 2 && edited[1].length === 1 && edited[1][0] === basicHash, desc: 'Only the edited post reloads' },
+      { test: afterClose === 2, desc: 'Disconnected clients are dropped' },
+      { test: open.res.ended === true, desc: 'Connections closed when Hexo exits' }
+    ];
+
+    console.log('Validation checks:');
+    checks.forEach(({ test, desc }) => {
+      console.log(`  ${test ? '✓' : '✗'} ${desc}`);
+    });
+
+    if (checks.every(c => c.test)) {
+      console.log('\n=== All tests passed! ===\n');
+    } else {
+      console.log('\n=== Some tests failed ===\n');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('\n✗ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    // Same cleanup `hexo clean` runs
+    global.hexo.extend.filter._filters.after_clean();
+    fs.rmSync(publicDir, { recursive: true, force: true });
+    fs.rmSync(path.join(__dirname, 'hexo-renderer-mdx.component-path.json'), { force: true });
+  }
+}
+
+// Wait for `test` to hold, checking every 100ms
+async function waitFor(test, timeout) {
+  const start = Date.now();
+  while (!test() && Date.now() - start < timeout) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return test();
+}
+
+// Test a component edit in `hexo server` with a real Hexo: the post importing the component
+// is rendered again before its pages are told to reload
+async function testComponentEdit() {
+  console.log('\n=== Testing live reload after a component edit ===\n');
+
+  const siteDir = fs.mkdtempSync(path.join(__dirname, 'test', '.site-'));
+  const componentPath = path.join(siteDir, 'components', 'Version.jsx');
+  const postPath = path.join(siteDir, 'source', '_posts', 'version.mdx');
+  const writeComponent = version => fs.writeFileSync(componentPath, `export default function Version() {
+  return <p className="version">${version}</p>;
+}
+`);
+  const site = new Hexo(siteDir, { silent: true, _: ['server'] });
+  const logs = [];
+  const originalLog = console.log;
+  console.log = (...args) => logs.push(args.join(' '));
+
+  try {
+    // Hexo only saves db.json in a project (a package.json with a `hexo` field)
+    fs.writeFileSync(path.join(siteDir, 'package.json'), JSON.stringify({ name: 'site', hexo: { version: Hexo.version } }));
+    fs.mkdirSync(path.dirname(componentPath), { recursive: true });
+    fs.mkdirSync(path.dirname(postPath), { recursive: true });
+    fs.writeFileSync(postPath, `---
+title: Version
+---
+
+import Version from '../../components/Version';
+
+<Version />
+`);
+    writeComponent('VERSION ONE');
+
+    await site.init();
+    site.config.mdx = { cache: false };
+    await site.loadPlugin(require.resolve('./index.js'));
+    await site.load();
+    const app = { stack: [], use: function(route, handle) { this.stack.push({ route, handle }); } };
+    await site.execFilter('server_middleware', app, { context: site });
+    const res = { chunks: [], writeHead: () => {}, write: function(chunk) { this.chunks.push(chunk); }, end: () => {} };
+    app.stack[0].handle(new EventEmitter(), res);
+    await site.execFilter('after_init', null, { context: site });
+    await waitFor(() => logs.some(l => l.includes('Watcher ready')), 10000);
+
+    const content = () => site.model('Post').findOne({ source: '_posts/version.mdx' }).content;
+    const before = content();
+    writeComponent('VERSION TWO');
+    // Done once the generation wrote the public dir
+    await waitFor(() => logs.some(l => l.includes('Regeneration complete')), 30000);
+    const reloaded = res.chunks.some(chunk => chunk.startsWith('event: reload'));
+    const reload = reloaded ? JSON.parse(res.chunks.find(chunk => chunk.startsWith('event: reload')).split('data: ')[1]) : [];
+    const hash = require('crypto').createHash('md5').update(postPath).digest('hex').slice(0, 8);
+
+    console.log = originalLog;
+    const checks = [
+      { test: before.includes('VERSION ONE'), desc: 'Post rendered with its component' },
+      { test: reload.includes(hash), desc: 'Pages of the post reload after the component changed' },
+      { test: reloaded && content().includes('<p class="version">VERSION TWO</p>'), desc: 'Post rendered again before the reload' }
+    ];
+
+    console.log('Validation checks:');
+    checks.forEach(({ test, desc }) => {
+      console.log(`  ${test ? '✓' : '✗'} ${desc}`);
+    });
+
+    if (checks.every(c => c.test)) {
+      console.log('\n=== All tests passed! ===\n');
+    } else {
+      console.log('\n=== Some tests failed ===\n');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.log = originalLog;
+    console.error('\n✗ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    console.log = originalLog;
+    site.emit('exit');
+    fs.rmSync(siteDir, { recursive: true, force: true });
+  }
+}
+
+testLiveReload().then(testComponentEdit);
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Bundles are served as routes, so this public dir must stay empty
+const publicDir = fs.mkdtempSync(path.join(__dirname, 'test', '.public-'));
+
+// Mock hexo global object using the Preact runtime; React components run on preact/compat
+global.hexo = {
+  base_dir: __dirname,
+  public_dir: publicDir,
+  source_dir: path.join(__dirname, 'test'),
+  config: {
+    url: 'https://example.com',
+    root: '/',
+    mdx: {
+      runtime: 'preact',
+      cache: false
+    }
+  },
+  extend: {
+    helper: {
+      list: function() {
+        return { badge: label => `<em class="badge">${label}</em>` };
+      }
+    },
+    generator: {
+      register: function(name, fn) {
+        this._generator = fn;
+      }
+    },
+    filter: {
+      _filters: {},
+      register: function(type, fn) {
+        this._filters[type] = fn;
+      }
+    },
+    renderer: {
+      register: function(ext, outputExt, fn, sync) {
+        console.log(`✓ Renderer registered for .${ext} files`);
+        this._renderer = fn;
+      }
+    }
+  }
+};
+
+// Load the renderer
+const { getMdxConfig, validateMdxConfig } = require('./index.js');
+
+// A React-based package from node_modules, imported by the post
+const packageDir = path.join(__dirname, 'test', 'node_modules', 'mdx-test-hooks');
+
+// Test rendering and hydrating React components with mdx.runtime: preact
+async function testPreact() {
+  console.log('\n=== Testing the Preact runtime ===\n');
+
+  try {
+    fs.mkdirSync(packageDir, { recursive: true });
+    fs.writeFileSync(path.join(packageDir, 'package.json'), JSON.stringify({ name: 'mdx-test-hooks', main: 'index.js' }));
+    fs.writeFileSync(path.join(packageDir, 'index.js'), `const { createElement, useState } = require('react');
+module.exports = function Clicks() {
+  const [count] = useState(3);
+  return createElement('span', { className: 'clicks' }, 'Clicks: ' + count);
+};
+`);
+    const mdxPath = path.join(__dirname, 'test', 'preact.mdx');
+    const html = await global.hexo.extend.renderer._renderer({ text: '', path: mdxPath });
+    const logs = [];
+    const originalLog = console.log;
+    console.log = (...args) => logs.push(args.join(' '));
+    let routes;
+    try {
+      routes = await global.hexo.extend.generator._generator();
+    } finally {
+      console.log = originalLog;
+    }
+
+    let runtimeError = null;
+    try {
+      validateMdxConfig({ ...getMdxConfig(), runtime: './test/no-such-runtime.js' });
+    } catch (err) {
+      runtimeError = err;
+    }
+
+    const entryDir = path.join(__dirname, '.hexo-mdx-entry');
+    const entrySource = fs.readdirSync(entryDir).map(f => fs.readFileSync(path.join(entryDir, f), 'utf8')).join('\n');
+    // Content-hashed bundles and chunks only, not the unhashed copies of the bundles
+    const scripts = routes.filter(r => r.path.endsWith('.js') && !/mdx-hydrate-[a-f0-9]+\.js$/.test(r.path));
+    const code = scripts.map(r => r.data.toString()).join('\n');
+    const size = scripts.reduce((total, r) => total + r.data.length, 0);
+
+    console.log('Output HTML:');
+    console.log('---');
+    console.log(html);
+    console.log('---\n');
+    console.log(`Hydration JavaScript: ${size} bytes\n`);
+
+    const checks = [
+      { test: html.includes('<h1>Preact runtime</h1>'), desc: 'MDX content rendered with preact-render-to-string' },
+      { test: /data-mdx-hydrate="load"><button class="greeting">Hello, world! \(0\)<\/button>/.test(html), desc: 'React component with hooks server-rendered through preact/compat' },
+      { test: html.includes('\n<button class="greeting">Hello, static! (0)</button>'), desc: 'Component without directive rendered as plain HTML' },
+      { test: html.includes('<div data-mdx-children style="display:contents;"><p>Some <strong>bold</strong> text <em class="badge">new</em></p></div><button>Clicks: 2</button>'), desc: 'Children passed to the island as static HTML' },
+      { test: html.includes('&lt;em class=\\&quot;badge\\&quot;&gt;new&lt;/em&gt;'), desc: 'Raw HTML spliced into serialized children' },
+      { test: entrySource.includes('mdx-runtime-preact.mjs') && entrySource.includes("from 'preact'"), desc: 'Hydration entry uses the Preact client runtime' },
+      { test: !entrySource.includes('react-dom/client'), desc: 'Hydration entry does not import react-dom' },
+      { test: scripts.length > 0 && !code.includes('__SECRET_INTERNALS') && size < 40000, desc: 'Bundles contain Preact instead of React' },
+      { test: html.includes('<span class="clicks">Clicks: 3</span>'), desc: 'React-based package from node_modules rendered through preact/compat' },
+      { test: !require.resolve('react').includes(`${path.sep}preact${path.sep}`), desc: 'react still resolves to React outside components' },
+      { test: runtimeError !== null && runtimeError.message.includes('mdx.runtime'), desc: 'Unresolvable runtime module rejected' }
+    ];
+
+    console.log('Validation checks:');
+    checks.forEach(({ test, desc }) => {
+      console.log(`  ${test ? '✓' : '✗'} ${desc}`);
+    });
+
+    if (checks.every(c => c.test)) {
+      console.log('\n=== All tests passed! ===\n');
+    } else {
+      console.log('\n=== Some tests failed ===\n');
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('\n✗ Test failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    // Same cleanup `hexo clean` runs
+    global.hexo.extend.filter._filters.after_clean();
+    fs.rmSync(publicDir, { recursive: true, force: true });
+    fs.rmSync(path.join(__dirname, 'test', 'node_modules'), { recursive: true, force: true });
+    fs.rmSync(path.join(__dirname, 'hexo-renderer-mdx.component-path.json'), { force: true });
+  }
+}
+
+testPreact();
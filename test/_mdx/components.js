@@ -0,0 +1,7 @@
+import React from 'react';
+import Badge from '../components/Badge';
+
+// Components available in every MDX file of the test site without an import
+export { Badge };
+
+export const h2 = ({ children }) => <h2 className="section">{children}</h2>;
@@ -0,0 +1,5 @@
+import React from 'react';
+
+export default function Badge({ label }) {
+  return <span className="badge">{label}</span>;
+}
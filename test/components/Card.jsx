@@ -0,0 +1,13 @@
+import React from 'react';
+import styles from './Card.module.css';
+import './card.css';
+import logo from './logo.svg';
+
+export default function Card({ title }) {
+  return (
+    <div className={styles.card}>
+      <img className={styles.logo} src={logo} alt="" />
+      <h3 className="card-title">{title}</h3>
+    </div>
+  );
+}
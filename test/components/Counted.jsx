@@ -0,0 +1,9 @@
+import React from 'react';
+
+// Shows how many times it was rendered so far
+let renders = 0;
+
+export default function Counted() {
+  renders += 1;
+  return <span className="counted">Rendered {renders} time(s)</span>;
+}
@@ -0,0 +1,15 @@
+import React, { useState } from 'react';
+
+export default function Counter({ start = 0, label = 'Count', onChange, children }) {
+  const [count, setCount] = useState(start);
+  const increment = () => {
+    setCount(count + 1);
+    if (onChange) onChange(count + 1);
+  };
+  return (
+    <div className="counter">
+      {children}
+      <button onClick={increment}>{label}: {count}</button>
+    </div>
+  );
+}
@@ -0,0 +1,10 @@
+import React, { useState } from 'react';
+
+export default function Greeting({ name = 'world' }) {
+  const [count, setCount] = useState(0);
+  return (
+    <button className="greeting" onClick={() => setCount(count + 1)}>
+      Hello, {name}! ({count})
+    </button>
+  );
+}
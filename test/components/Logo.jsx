@@ -0,0 +1,6 @@
+import React from 'react';
+import logo from './logo.svg';
+
+export default function Logo() {
+  return <img className="logo" src={logo} alt="Logo" />;
+}
@@ -0,0 +1,13 @@
+import React from 'react';
+import shout from '@components/format';
+
+interface StatProps {
+  label: string;
+  value: number;
+  unit?: string;
+}
+
+export default function Stat({ label, value, unit = '' }: StatProps) {
+  const text = `${value.toFixed(1)}${unit}` as string;
+  return <span className="stat">{shout(label)}: {text}</span>;
+}
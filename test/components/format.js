@@ -0,0 +1,3 @@
+export default function shout(text) {
+  return String(text).toUpperCase();
+}
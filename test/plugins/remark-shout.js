@@ -0,0 +1,15 @@
+'use strict';
+
+// Test remark plugin: upper-cases the text of every heading
+module.exports = function remarkShout(options = {}) {
+  const suffix = options.suffix || '';
+  const visit = (node) => {
+    if (node.type === 'heading') {
+      node.children.forEach(child => {
+        if (child.type === 'text') child.value = child.value.toUpperCase() + suffix;
+      });
+    }
+    (node.children || []).forEach(visit);
+  };
+  return (tree) => visit(tree);
+};
@@ -0,0 +1,17 @@
+'use strict';
+
+const { isMainThread } = require('worker_threads');
+
+// Test remark plugin: appends a paragraph telling where the post was compiled.
+// With `mainThreadOnly`, it fails in a worker like a plugin that needs Hexo would.
+module.exports = function remarkThread(options = {}) {
+  return (tree) => {
+    if (options.mainThreadOnly && !isMainThread) {
+      throw new Error('remark-thread needs the main thread');
+    }
+    tree.children.push({
+      type: 'paragraph',
+      children: [{ type: 'text', value: isMainThread ? 'Compiled in the main thread' : 'Compiled in a worker' }]
+    });
+  };
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * Worker for the `mdx.workers` pool (see createWorkerPool in index.js).
+ * Compiles MDX and runs esbuild builds off Hexo's main thread. The renderer
+ * module is loaded with a stand-in `hexo` that only holds what compiling reads;
+ * rendering (components, helpers, tags) always happens in Hexo's process.
+ */
+const { parentPort, workerData } = require('worker_threads');
+
+global.hexo = { base_dir: workerData.baseDir, config: {} };
+const { compileMdx, buildHydrationBundles } = require('./index.js');
+
+parentPort.on('message', async ({ type, content, options, config, assetBaseUrl }) => {
+  try {
+    let result;
+    if (type === 'compile') {
+      global.hexo.config = config;
+      result = await compileMdx(content, options);
+    } else if (type === 'bundle') {
+      result = await buildHydrationBundles(options, assetBaseUrl);
+    } else {
+      throw new Error(`Unknown MDX worker task: ${type}`);
+    }
+    parentPort.postMessage({ result });
+  } catch (err) {
+    parentPort.postMessage({ error: { message: err.message, stack: err.stack, position: err.position } });
+  }
+});